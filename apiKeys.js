@@ -0,0 +1,201 @@
+// apiKeys.js
+'use strict';
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getJobStore } = require('./jobStore');
+const { ADMIN_API_KEY, API_KEY_CACHE_SECONDS } = require('./config');
+
+/**
+ * API keys for the jobs API. Every key belongs to a workspace (an agency)
+ * and has a role:
+ *
+ * - 'member': sees and manages only its own workspace's jobs
+ * - 'admin':  sees every workspace and manages keys (/admin/api-keys)
+ *
+ * Callers send "Authorization: Bearer <key>" or "X-API-Key: <key>". Only the
+ * key's sha256 is stored. Lookups are cached for API_KEY_CACHE_SECONDS, so a
+ * revoked key can keep working that long on other instances.
+ */
+
+const API_KEY_ROLES = ['member', 'admin'];
+const WORKSPACE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_KEY_NAME_LENGTH = 100;
+
+const cache = new Map(); // keyHash -> { principal, expiresAt }
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isAdminApiKey(key) {
+  if (!ADMIN_API_KEY) return false;
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const given = Buffer.from(key);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * { keyId, workspaceId, role, isAdmin } for a live key, else null.
+ * ADMIN_API_KEY is an admin without a workspace.
+ */
+async function resolveApiKey(key) {
+  if (!key || typeof key !== 'string') return null;
+  if (isAdminApiKey(key)) {
+    return {
+      keyId: 'ADMIN_API_KEY',
+      workspaceId: null,
+      role: 'admin',
+      isAdmin: true,
+    };
+  }
+
+  const keyHash = hashApiKey(key);
+  const cached = cache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) return cached.principal;
+
+  const row = await getJobStore().findApiKey(keyHash);
+  if (!row) return null; // misses aren't cached, guessing fills no memory
+
+  const principal = {
+    keyId: row.keyId,
+    workspaceId: row.workspaceId,
+    role: row.role,
+    isAdmin: row.role === 'admin',
+  };
+  cache.set(keyHash, {
+    principal,
+    expiresAt: Date.now() + API_KEY_CACHE_SECONDS * 1000,
+  });
+  return principal;
+}
+
+function apiKeyFromRequest(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : req.get('X-API-Key');
+}
+
+/**
+ * Express middleware: 401 without a valid key, else req.apiKey = principal.
+ */
+function requireApiKey(req, res, next) {
+  resolveApiKey(apiKeyFromRequest(req))
+    .then((principal) => {
+      if (!principal) {
+        console.warn(
+          `🚫 ${req.method} ${req.path} from ${req.ip} without a valid API key`
+        );
+        res.status(401).json({ error: 'Invalid or missing API key' });
+        return;
+      }
+      req.apiKey = principal;
+      next();
+    })
+    .catch((err) => {
+      console.error('Failed to check API key:', err);
+      res.status(500).json({ error: 'Failed to check API key' });
+    });
+}
+
+/**
+ * Express middleware: like requireApiKey, and 403 unless it is an admin key.
+ */
+function requireAdminApiKey(req, res, next) {
+  requireApiKey(req, res, () => {
+    if (!req.apiKey.isAdmin) {
+      res.status(403).json({ error: 'Admin API key required' });
+      return;
+    }
+    next();
+  });
+}
+
+/**
+ * May this caller see / change this job? Admins see every workspace.
+ */
+function canAccessJob(principal, job) {
+  return (
+    principal.isAdmin ||
+    (Boolean(job.workspaceId) && job.workspaceId === principal.workspaceId)
+  );
+}
+
+function isValidWorkspaceId(workspaceId) {
+  return typeof workspaceId === 'string' && WORKSPACE_ID_RE.test(workspaceId);
+}
+
+/**
+ * Key row as shown by the admin endpoints (never the hash).
+ */
+function describeApiKey(row) {
+  const { keyHash, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Create a key. Returns { errors: [{ field, message }] } for invalid input,
+ * otherwise { key, apiKey } – `key` is shown this once and never stored.
+ */
+async function createApiKey({ workspaceId, role = 'member', name } = {}) {
+  const errors = [];
+  if (!isValidWorkspaceId(workspaceId)) {
+    errors.push({
+      field: 'workspaceId',
+      message: 'must be 1-64 letters, digits, "-" or "_"',
+    });
+  }
+  if (!API_KEY_ROLES.includes(role)) {
+    errors.push({
+      field: 'role',
+      message: `must be one of ${API_KEY_ROLES.join(', ')}`,
+    });
+  }
+  if (
+    name !== undefined &&
+    name !== null &&
+    (typeof name !== 'string' || name.length > MAX_KEY_NAME_LENGTH)
+  ) {
+    errors.push({
+      field: 'name',
+      message: `must be a string of at most ${MAX_KEY_NAME_LENGTH} characters`,
+    });
+  }
+  if (errors.length) return { errors };
+
+  const key = `cak_${crypto.randomBytes(24).toString('base64url')}`;
+  const row = {
+    keyId: uuidv4(),
+    keyHash: hashApiKey(key),
+    workspaceId,
+    role,
+    name: name || null,
+    createdAt: new Date().toISOString(),
+  };
+  await getJobStore().insertApiKey(row);
+
+  console.log(
+    `🔑 Created ${role} API key ${row.keyId} for workspace ${workspaceId}`
+  );
+  return { key, apiKey: describeApiKey({ ...row, revokedAt: null }) };
+}
+
+async function revokeApiKey(keyId) {
+  const revoked = await getJobStore().revokeApiKey(keyId);
+  for (const [keyHash, { principal }] of cache) {
+    if (principal.keyId === keyId) cache.delete(keyHash);
+  }
+  if (revoked) console.log(`🔑 Revoked API key ${keyId}`);
+  return revoked;
+}
+
+module.exports = {
+  requireApiKey,
+  requireAdminApiKey,
+  canAccessJob,
+  isValidWorkspaceId,
+  describeApiKey,
+  createApiKey,
+  revokeApiKey,
+};
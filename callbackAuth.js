@@ -0,0 +1,144 @@
+// callbackAuth.js
+'use strict';
+
+const crypto = require('crypto');
+const { getJobStore } = require('./jobStore');
+const { getSegmentMeta } = require('./jobHelpers');
+const {
+  CALLBACK_SECRET,
+  CALLBACK_TOKEN_TTL_HOURS,
+  CALLBACK_SIGNATURE_TOLERANCE_SECONDS,
+} = require('./config');
+
+/**
+ * Authentication of the n8n result callbacks (/organic-result,
+ * /paid-ads-result). A callback is accepted with either:
+ *
+ * - a per-job token: the outbound webhook payload carries `callbackToken`
+ *   ("<attempt>.<expiresAt>.<hmac>"), which n8n echoes back in each result
+ *   item or in the X-Callback-Token header;
+ * - a signature, for senders holding CALLBACK_SECRET themselves:
+ *   X-Callback-Timestamp (unix seconds) plus X-Callback-Signature
+ *   "sha256=<hex HMAC of '<timestamp>.<raw body>'>", with the timestamp at
+ *   most CALLBACK_SIGNATURE_TOLERANCE_SECONDS off.
+ *
+ * Either way every item's segment must still be pending on that attempt, so
+ * replaying a callback that already landed is rejected too.
+ */
+
+function hmac(data) {
+  return crypto.createHmac('sha256', CALLBACK_SECRET).update(data);
+}
+
+function safeEqual(a, b) {
+  const expected = Buffer.from(a);
+  const given = Buffer.from(String(b));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * Token for the outbound webhook of `stage`, or null when CALLBACK_SECRET is
+ * not configured (the callback will then be refused).
+ */
+function callbackToken(stage, jobId, attempt, now = Date.now()) {
+  if (!CALLBACK_SECRET) return null;
+  const expiresAt = Math.floor(now / 1000) + CALLBACK_TOKEN_TTL_HOURS * 3600;
+  const signature = hmac(`${stage}:${jobId}:${attempt}:${expiresAt}`).digest(
+    'base64url'
+  );
+  return `${attempt}.${expiresAt}.${signature}`;
+}
+
+/**
+ * Resolves to { attempt } for a valid token, or { reason } otherwise.
+ */
+function verifyCallbackToken(stage, jobId, token, now = Date.now()) {
+  const [attempt, expiresAt, signature] = String(token).split('.');
+  const expected = hmac(`${stage}:${jobId}:${attempt}:${expiresAt}`).digest(
+    'base64url'
+  );
+  if (!signature || !safeEqual(expected, signature)) {
+    return { reason: 'bad callback token' };
+  }
+  if (Number(expiresAt) * 1000 < now) {
+    return { reason: 'expired callback token' };
+  }
+  return { attempt: Number(attempt) };
+}
+
+function verifySignature(headers, rawBody, now = Date.now()) {
+  const timestamp = headers['x-callback-timestamp'];
+  const signature = headers['x-callback-signature'];
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    return 'missing or invalid X-Callback-Timestamp';
+  }
+  if (
+    Math.abs(now / 1000 - Number(timestamp)) >
+    CALLBACK_SIGNATURE_TOLERANCE_SECONDS
+  ) {
+    return 'expired signature timestamp';
+  }
+
+  const expected = `sha256=${hmac(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex')}`;
+  if (!safeEqual(expected, signature)) return 'bad signature';
+  return null;
+}
+
+/**
+ * Check a callback request for stage `def` with result `items`. Resolves to
+ * null when it may be processed, otherwise { httpStatus, reason }.
+ */
+async function verifyCallback(def, { headers, rawBody, items }) {
+  if (!CALLBACK_SECRET) {
+    return { httpStatus: 503, reason: 'CALLBACK_SECRET is not configured' };
+  }
+
+  const now = Date.now();
+  const signed = Boolean(headers['x-callback-signature']);
+  if (signed) {
+    const reason = verifySignature(headers, rawBody, now);
+    if (reason) return { httpStatus: 401, reason };
+  }
+
+  const store = getJobStore();
+  for (const item of items) {
+    const { jobId } = item || {};
+    if (!jobId) return { httpStatus: 401, reason: 'item without jobId' };
+
+    let attempt = Number(item.attempt) || 1;
+    if (!signed) {
+      const token = item.callbackToken || headers['x-callback-token'];
+      if (!token) {
+        return { httpStatus: 401, reason: `unsigned callback for ${jobId}` };
+      }
+      const result = verifyCallbackToken(def.stage, jobId, token, now);
+      if (result.reason) {
+        return { httpStatus: 401, reason: `${result.reason} for ${jobId}` };
+      }
+      attempt = result.attempt;
+    }
+
+    const job = await store.loadJob(jobId);
+    if (!job) return { httpStatus: 401, reason: `unknown job ${jobId}` };
+
+    const status = job[def.statusColumn];
+    const current = getSegmentMeta(job, def.statusColumn).attempt || 1;
+    if (status !== 'pending' || attempt !== current) {
+      return {
+        httpStatus: 401,
+        reason: `replayed or stale callback for ${jobId} (${def.segment} is ${status}, attempt ${current}; callback is for attempt ${attempt})`,
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  callbackToken,
+  verifyCallbackToken,
+  verifyCallback,
+};
@@ -0,0 +1,319 @@
+// clientInput.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { segmentSkipReason } = require('./jobHelpers');
+const { registerStage } = require('./stageRegistry');
+const { CLIENT_INPUT_SECRET, CLIENT_INPUT_BASE_URL } = require('./config');
+
+const CLIENT_INPUT_TARGET_TABLE = '9_clientInputJobs';
+
+// 🔧 questionnaire (versioned questions + rules) – override via env var
+const CLIENT_INPUT_SCHEMA_FILE =
+  process.env.CLIENT_INPUT_SCHEMA_FILE ||
+  path.join(__dirname, 'clientInputSchema.json');
+
+// Question type -> BigQuery column type for the flattened answer columns
+const ANSWER_COLUMN_TYPES = {
+  integer: 'INT64',
+  number: 'FLOAT64',
+  choice: 'STRING',
+  text: 'STRING',
+  multi: 'STRING', // JSON array
+};
+
+let schema = null;
+
+function loadSchema() {
+  if (!schema) {
+    schema = JSON.parse(fs.readFileSync(CLIENT_INPUT_SCHEMA_FILE, 'utf8'));
+    console.log(
+      `ℹ️ [CLIENT] Loaded questionnaire ${schema.version} (${schema.questions.length} questions) from ${CLIENT_INPUT_SCHEMA_FILE}`
+    );
+  }
+  return schema;
+}
+
+// ---------- Tokenized links ----------
+
+/**
+ * Per-job token for the questionnaire link: HMAC of the jobId, so nothing
+ * needs storing and the link works without an account.
+ */
+function clientInputToken(jobId) {
+  if (!CLIENT_INPUT_SECRET) {
+    throw new Error('CLIENT_INPUT_SECRET is not configured');
+  }
+  return crypto
+    .createHmac('sha256', CLIENT_INPUT_SECRET)
+    .update(`client-input:${jobId}`)
+    .digest('base64url');
+}
+
+function verifyClientInputToken(jobId, token) {
+  if (!token || typeof token !== 'string') return false;
+  const expected = Buffer.from(clientInputToken(jobId));
+  const given = Buffer.from(token);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * Link sent to the business owner, or null when links are not configured.
+ */
+function clientInputUrl(jobId) {
+  if (!CLIENT_INPUT_SECRET) return null;
+  const base = CLIENT_INPUT_BASE_URL.replace(/\/+$/, '');
+  return `${base}/jobs/${encodeURIComponent(
+    jobId
+  )}/client-input?token=${clientInputToken(jobId)}`;
+}
+
+// ---------- Validation ----------
+
+/**
+ * Check answers against the questionnaire.
+ * Returns { errors: [{ field, message }], values: { key: normalizedValue } }.
+ * Unknown keys are errors, so typos don't get silently dropped.
+ */
+function validateAnswers(answers, questionnaire = loadSchema()) {
+  const errors = [];
+  const values = {};
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return {
+      errors: [{ field: 'answers', message: 'must be an object' }],
+      values,
+    };
+  }
+
+  const known = new Set(questionnaire.questions.map((q) => q.key));
+  for (const key of Object.keys(answers)) {
+    if (!known.has(key)) {
+      errors.push({ field: key, message: 'is not a question in this schema' });
+    }
+  }
+
+  for (const q of questionnaire.questions) {
+    const raw = answers[q.key];
+    const missing =
+      raw === undefined ||
+      raw === null ||
+      raw === '' ||
+      (Array.isArray(raw) && !raw.length);
+
+    if (missing) {
+      if (q.required) errors.push({ field: q.key, message: 'is required' });
+      values[q.key] = null;
+      continue;
+    }
+
+    switch (q.type) {
+      case 'integer':
+      case 'number': {
+        const n = Number(raw);
+        if (
+          !Number.isFinite(n) ||
+          (q.type === 'integer' && !Number.isInteger(n))
+        ) {
+          errors.push({
+            field: q.key,
+            message:
+              q.type === 'integer' ? 'must be an integer' : 'must be a number',
+          });
+        } else if (q.min !== undefined && n < q.min) {
+          errors.push({ field: q.key, message: `must be >= ${q.min}` });
+        } else if (q.max !== undefined && n > q.max) {
+          errors.push({ field: q.key, message: `must be <= ${q.max}` });
+        } else {
+          values[q.key] = n;
+        }
+        break;
+      }
+      case 'choice':
+        if (!q.options.includes(raw)) {
+          errors.push({
+            field: q.key,
+            message: `must be one of ${q.options.join(', ')}`,
+          });
+        } else {
+          values[q.key] = raw;
+        }
+        break;
+      case 'multi': {
+        const list = Array.isArray(raw) ? raw : [raw];
+        const invalid = list.filter((v) => !q.options.includes(v));
+        if (invalid.length) {
+          errors.push({
+            field: q.key,
+            message: `has unknown option(s) ${invalid.join(', ')}`,
+          });
+        } else {
+          values[q.key] = [...new Set(list)];
+        }
+        break;
+      }
+      case 'text':
+        if (typeof raw !== 'string') {
+          errors.push({ field: q.key, message: 'must be a string' });
+        } else if (q.maxLength && raw.length > q.maxLength) {
+          errors.push({
+            field: q.key,
+            message: `must be at most ${q.maxLength} characters`,
+          });
+        } else {
+          values[q.key] = raw.trim();
+        }
+        break;
+      default:
+        errors.push({
+          field: q.key,
+          message: `has unsupported question type "${q.type}"`,
+        });
+    }
+  }
+
+  return { errors, values };
+}
+
+// ---------- Stage + submission ----------
+
+/**
+ * Nothing to compute: the segment waits in 'pending' until the client
+ * submits the questionnaire (see submitClientInput).
+ */
+async function handleClientInputSegment(jobId, event = {}) {
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ [CLIENT] No job row found for jobId=${jobId}, skipping.`);
+    return;
+  }
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt; a fast
+  // client may already have submitted
+  const skipReason = segmentSkipReason(job, '9_clientInput_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [CLIENT] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  console.log(`ℹ️ [CLIENT] Job ${jobId} waiting for client questionnaire`);
+  await markSegmentStatus(
+    jobId,
+    '9_clientInput_Status',
+    'pending',
+    'awaiting client input'
+  );
+}
+
+// Segment states in which a submission is still accepted
+const ACCEPTING_STATUSES = ['queued', 'pending'];
+
+/**
+ * Validate and store a questionnaire submission, then complete the segment.
+ *
+ * Returns { httpStatus: 409, error } when the segment no longer takes
+ * answers (already completed, timed out, not requested, ...), { errors } when
+ * the answers are invalid, otherwise { schemaVersion }.
+ */
+async function submitClientInput(job, { schemaVersion, answers } = {}) {
+  const status = job['9_clientInput_Status'] || 'queued';
+  if (!ACCEPTING_STATUSES.includes(status)) {
+    return {
+      httpStatus: 409,
+      error: `Client input is ${status} and no longer accepts answers`,
+    };
+  }
+
+  const questionnaire = loadSchema();
+
+  if (schemaVersion && schemaVersion !== questionnaire.version) {
+    return {
+      errors: [
+        {
+          field: 'schemaVersion',
+          message: `questionnaire is now ${questionnaire.version}, got ${schemaVersion}`,
+        },
+      ],
+    };
+  }
+
+  const { errors, values } = validateAnswers(answers, questionnaire);
+  if (errors.length) return { errors };
+
+  const { jobId, businessName, createdAt } = job;
+  const fields = {
+    businessName: businessName || null,
+    date: createdAt?.value || createdAt || null,
+    schemaVersion: questionnaire.version,
+    submittedAt: new Date().toISOString(),
+    answers: JSON.stringify(values),
+  };
+  const types = {
+    businessName: 'STRING',
+    date: 'TIMESTAMP',
+    submittedAt: 'TIMESTAMP',
+  };
+
+  // One column per question as well, so answers can be queried directly
+  for (const q of questionnaire.questions) {
+    const value = values[q.key];
+    fields[q.key] =
+      q.type === 'multi' && value !== null ? JSON.stringify(value) : value;
+    types[q.key] = ANSWER_COLUMN_TYPES[q.type];
+  }
+  fields.status = 'completed';
+
+  console.log(
+    `ℹ️ [CLIENT] Storing questionnaire ${questionnaire.version} answers for job ${jobId}`
+  );
+
+  await getJobStore().upsertSegmentResult(
+    CLIENT_INPUT_TARGET_TABLE,
+    jobId,
+    fields,
+    types
+  );
+
+  console.log(
+    `✅ [CLIENT] MERGE completed for job ${jobId} into ${CLIENT_INPUT_TARGET_TABLE}`
+  );
+
+  await markSegmentStatus(jobId, '9_clientInput_Status', 'completed');
+  return { schemaVersion: questionnaire.version };
+}
+
+registerStage({
+  stage: '9_clientInput',
+  segment: '9_clientInput',
+  statusColumn: '9_clientInput_Status',
+  resultTable: CLIENT_INPUT_TARGET_TABLE,
+  resultJsonColumns: ['answers'],
+  // the per-question columns only repeat `answers`
+  formatResult: ({ schemaVersion, submittedAt, answers }) => ({
+    schemaVersion,
+    submittedAt,
+    answers,
+  }),
+  dependsOn: [],
+  handler: handleClientInputSegment,
+  // Waits on a person: give up after two weeks, re-asking won't help. The
+  // answers are optional, so an unanswered questionnaire doesn't fail the job.
+  pendingTimeoutMinutes: 14 * 24 * 60,
+  maxAttempts: 1,
+  timeoutStatus: 'skipped',
+});
+
+module.exports = {
+  loadSchema,
+  validateAnswers,
+  clientInputUrl,
+  verifyClientInputToken,
+  handleClientInputSegment,
+  submitClientInput,
+};
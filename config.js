@@ -0,0 +1,121 @@
+// config.js
+'use strict';
+
+/**
+ * Shared configuration for the API, the worker and the segment modules.
+ * Anything that differs between Cloud Run and a laptop comes from env vars.
+ */
+
+// === GCP setup ===
+const PROJECT_ID =
+  process.env.GCP_PROJECT_ID || 'ghs-construction-1734441714520';
+
+// Dataset holding the jobs table + per-segment result tables
+const DATASET_ID = process.env.BQ_DATASET_ID || 'Client_audits';
+
+// Dataset holding reference data (e.g. 1_demographics by location)
+const DATA_DATASET_ID = process.env.BQ_DATA_DATASET_ID || 'Client_audits_data';
+
+const JOBS_TABLE_ID = 'client_audits_jobs';
+
+// POST /jobs Idempotency-Key records, kept for IDEMPOTENCY_TTL_HOURS
+const IDEMPOTENCY_TABLE_ID = 'client_audits_idempotency';
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+
+// API keys for the jobs API (see apiKeys.js). ADMIN_API_KEY is an admin key
+// that needs no row in the table, e.g. to create the first keys.
+const API_KEYS_TABLE_ID = 'client_audits_api_keys';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const API_KEY_CACHE_SECONDS = Number(process.env.API_KEY_CACHE_SECONDS || 60);
+
+// === Job store ===
+// 'bigquery' (default) or 'memory' for running locally / in tests
+const JOB_STORE = process.env.JOB_STORE || 'bigquery';
+
+// Optional JSON file with reference rows for the memory store, shaped as
+// { "1_demographics": [ { "location": "...", ... } ], ... }
+const LOCAL_REFERENCE_DATA_FILE = process.env.LOCAL_REFERENCE_DATA_FILE || null;
+
+// === Job events transport ===
+// 'pubsub' (default), 'inprocess' (API + worker in one process) or
+// 'http' (POST Pub/Sub-style push envelopes straight to WORKER_URL)
+const JOB_EVENTS_TRANSPORT = process.env.JOB_EVENTS_TRANSPORT || 'pubsub';
+const JOB_EVENTS_TOPIC =
+  process.env.JOB_EVENTS_TOPIC || 'client-audits-job-events';
+const WORKER_URL = process.env.WORKER_URL || 'http://localhost:8081/';
+
+// === Client input links ===
+// Secret for the per-job client questionnaire tokens, and the public base URL
+// the links point at (the API's own URL unless a form is hosted elsewhere)
+const CLIENT_INPUT_SECRET = process.env.CLIENT_INPUT_SECRET || null;
+const CLIENT_INPUT_BASE_URL =
+  process.env.CLIENT_INPUT_BASE_URL || 'http://localhost:8080';
+
+// === n8n result callbacks ===
+// Secret for the per-job callback tokens sent with the n8n webhooks (and for
+// X-Callback-Signature); callbacks are refused while it is unset.
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET || null;
+const CALLBACK_TOKEN_TTL_HOURS = Number(
+  process.env.CALLBACK_TOKEN_TTL_HOURS || 24
+);
+const CALLBACK_SIGNATURE_TOLERANCE_SECONDS = Number(
+  process.env.CALLBACK_SIGNATURE_TOLERANCE_SECONDS || 300
+);
+
+// === Pub/Sub push authentication (worker POST /) ===
+// OIDC: Google's public keys (PEM certs { kid: pem } or a JWKS file), the
+// audience set on the push subscription and its service account email.
+// PUBSUB_PUSH_TOKEN is a shared bearer token for setups without Pub/Sub.
+// With none of them set, push deliveries are not authenticated.
+const PUBSUB_PUSH_KEYS_FILE = process.env.PUBSUB_PUSH_KEYS_FILE || null;
+const PUBSUB_PUSH_AUDIENCE = process.env.PUBSUB_PUSH_AUDIENCE || null;
+const PUBSUB_PUSH_SERVICE_ACCOUNT =
+  process.env.PUBSUB_PUSH_SERVICE_ACCOUNT || null;
+const PUBSUB_PUSH_TOKEN = process.env.PUBSUB_PUSH_TOKEN || null;
+
+// === Watchdog for segments stuck in 'pending' ===
+// Default deadline per stage (stages can set their own pendingTimeoutMinutes),
+// how many attempts a segment gets before it is failed as 'timed_out', and
+// the base delay before a retry (doubled per attempt).
+// WATCHDOG_INTERVAL_SECONDS > 0 also sweeps on a timer in the worker; leave
+// it at 0 when Cloud Scheduler calls POST /watchdog/sweep instead.
+const STAGE_PENDING_TIMEOUT_MINUTES = Number(
+  process.env.STAGE_PENDING_TIMEOUT_MINUTES || 15
+);
+const WATCHDOG_MAX_ATTEMPTS = Number(process.env.WATCHDOG_MAX_ATTEMPTS || 3);
+const WATCHDOG_BACKOFF_SECONDS = Number(
+  process.env.WATCHDOG_BACKOFF_SECONDS || 60
+);
+const WATCHDOG_INTERVAL_SECONDS = Number(
+  process.env.WATCHDOG_INTERVAL_SECONDS || 0
+);
+
+module.exports = {
+  PROJECT_ID,
+  DATASET_ID,
+  DATA_DATASET_ID,
+  JOBS_TABLE_ID,
+  IDEMPOTENCY_TABLE_ID,
+  IDEMPOTENCY_TTL_HOURS,
+  API_KEYS_TABLE_ID,
+  ADMIN_API_KEY,
+  API_KEY_CACHE_SECONDS,
+  JOB_STORE,
+  LOCAL_REFERENCE_DATA_FILE,
+  JOB_EVENTS_TRANSPORT,
+  JOB_EVENTS_TOPIC,
+  WORKER_URL,
+  PUBSUB_PUSH_KEYS_FILE,
+  PUBSUB_PUSH_AUDIENCE,
+  PUBSUB_PUSH_SERVICE_ACCOUNT,
+  PUBSUB_PUSH_TOKEN,
+  CLIENT_INPUT_SECRET,
+  CLIENT_INPUT_BASE_URL,
+  CALLBACK_SECRET,
+  CALLBACK_TOKEN_TTL_HOURS,
+  CALLBACK_SIGNATURE_TOLERANCE_SECONDS,
+  STAGE_PENDING_TIMEOUT_MINUTES,
+  WATCHDOG_MAX_ATTEMPTS,
+  WATCHDOG_BACKOFF_SECONDS,
+  WATCHDOG_INTERVAL_SECONDS,
+};
@@ -1,56 +1,30 @@
 // demographics.js
-const { BigQuery } = require('@google-cloud/bigquery');
-const { markSegmentStatus, recomputeMainStatus } = require('./status');
-
-const bigquery = new BigQuery();
-
-const PROJECT_ID = 'ghs-construction-1734441714520';
-const JOBS_TABLE = `${PROJECT_ID}.Client_audits.client_audits_jobs`;
-const DEMOS_SOURCE_TABLE = `${PROJECT_ID}.Client_audits_data.1_demographics`;
-const DEMOS_TARGET_TABLE = `${PROJECT_ID}.Client_audits.1_demographicJobs`;
-
-async function loadJob(jobId) {
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        jobId,
-        location,
-        businessName,
-        1_demographics_Status AS demographicsStatus,
-        7_organicSearch_Status AS organicSearchStatus,
-        paidAdsStatus,
-        status,
-        createdAt
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId },
-  });
-  return rows[0] || null;
-}
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { segmentSkipReason } = require('./jobHelpers');
+const { registerStage } = require('./stageRegistry');
+
+const DEMOS_SOURCE_TABLE = '1_demographics';
+const DEMOS_TARGET_TABLE = '1_demographicJobs';
 
-async function handleDemographicsSegment(jobId) {
+async function handleDemographicsSegment(jobId, event = {}) {
   console.log(`▶️ [DEMOS] Starting demographics processing for job ${jobId}`);
 
-  const job = await loadJob(jobId);
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
   if (!job) {
     console.warn(`⚠️ [DEMOS] No job row found for jobId=${jobId}, skipping.`);
     return;
   }
 
-  const {
-    location,
-    businessName,
-    demographicsStatus,
-    createdAt,
-  } = job;
+  const { location, businessName, createdAt } = job;
+  const demographicsStatus = job['1_demographics_Status'];
 
-  // 🔒 Idempotency guard: only run when status is "queued"
-  if (demographicsStatus && demographicsStatus !== 'queued') {
-    console.log(
-      `ℹ️ [DEMOS] Job ${jobId} demographicsStatus=${demographicsStatus}, not 'queued' – skipping.`
-    );
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '1_demographics_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [DEMOS] Job ${jobId} ${skipReason} – skipping.`);
     return;
   }
 
@@ -62,29 +36,32 @@ async function handleDemographicsSegment(jobId) {
   await markSegmentStatus(jobId, '1_demographics_Status', 'pending');
 
   // Step 3: load demographics source row
-  const [demoRows] = await bigquery.query({
-    query: `
-      SELECT
-        population_no,
-        median_age,
-        households_no,
-        median_income_households,
-        median_income_families,
-        male_percentage,
-        female_percentage
-      FROM \`${DEMOS_SOURCE_TABLE}\`
-      WHERE location = @location
-      LIMIT 1
-    `,
-    params: { location },
-  });
+  let demoRows;
+  try {
+    demoRows = await store.queryReference(
+      DEMOS_SOURCE_TABLE,
+      { location },
+      { limit: 1 }
+    );
+  } catch (err) {
+    console.error(
+      `❌ [DEMOS] Reference lookup FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '1_demographics_Status',
+      'failed',
+      `demographics lookup failed: ${err.message || err}`
+    );
+    return;
+  }
 
   if (!demoRows.length) {
     console.warn(
       `⚠️ [DEMOS] No demographics found for location "${location}" (job ${jobId}), marking failed.`
     );
     await markSegmentStatus(jobId, '1_demographics_Status', 'failed');
-    await recomputeMainStatus(jobId);
     return;
   }
 
@@ -96,99 +73,60 @@ async function handleDemographicsSegment(jobId) {
   );
 
   // Step 4: MERGE into 1_demographicJobs
-  await bigquery.query({
-    query: `
-      MERGE \`${DEMOS_TARGET_TABLE}\` T
-      USING (
-        SELECT
-          @jobId AS jobId,
-          @businessName AS businessName,
-          @date AS date,
-          @population_no AS population_no,
-          @median_age AS median_age,
-          @households_no AS households_no,
-          @median_income_households AS median_income_households,
-          @median_income_families AS median_income_families,
-          @male_percentage AS male_percentage,
-          @female_percentage AS female_percentage,
-          'completed' AS status
-      ) S
-      ON T.jobId = S.jobId
-      WHEN NOT MATCHED THEN
-        INSERT (
-          jobId,
-          businessName,
-          date,
-          population_no,
-          median_age,
-          households_no,
-          median_income_households,
-          median_income_families,
-          male_percentage,
-          female_percentage,
-          status
-        )
-        VALUES (
-          S.jobId,
-          S.businessName,
-          S.date,
-          S.population_no,
-          S.median_age,
-          S.households_no,
-          S.median_income_households,
-          S.median_income_families,
-          S.male_percentage,
-          S.female_percentage,
-          S.status
-        )
-      WHEN MATCHED THEN
-        UPDATE SET
-          businessName = S.businessName,
-          date = S.date,
-          population_no = S.population_no,
-          median_age = S.median_age,
-          households_no = S.households_no,
-          median_income_households = S.median_income_households,
-          median_income_families = S.median_income_families,
-          male_percentage = S.male_percentage,
-          female_percentage = S.female_percentage,
-          status = S.status
-    `,
-    params: {
+  try {
+    await store.upsertSegmentResult(
+      DEMOS_TARGET_TABLE,
       jobId,
-      businessName: businessName || null,
-      date: createdAtTs,
-      population_no: demo.population_no,
-      median_age: demo.median_age,
-      households_no: demo.households_no,
-      median_income_households: demo.median_income_households,
-      median_income_families: demo.median_income_families,
-      male_percentage: demo.male_percentage,
-      female_percentage: demo.female_percentage,
-    },
-    types: {
-      jobId: 'STRING',
-      businessName: 'STRING',
-      date: 'TIMESTAMP',
-      population_no: 'INT64',
-      median_age: 'FLOAT64',
-      households_no: 'INT64',
-      median_income_households: 'INT64',
-      median_income_families: 'INT64',
-      male_percentage: 'FLOAT64',
-      female_percentage: 'FLOAT64',
-    },
-  });
+      {
+        businessName: businessName || null,
+        date: createdAtTs,
+        population_no: demo.population_no,
+        median_age: demo.median_age,
+        households_no: demo.households_no,
+        median_income_households: demo.median_income_households,
+        median_income_families: demo.median_income_families,
+        male_percentage: demo.male_percentage,
+        female_percentage: demo.female_percentage,
+        status: 'completed',
+      },
+      {
+        businessName: 'STRING',
+        date: 'TIMESTAMP',
+        population_no: 'INT64',
+        median_age: 'FLOAT64',
+        households_no: 'INT64',
+        median_income_households: 'INT64',
+        median_income_families: 'INT64',
+        male_percentage: 'FLOAT64',
+        female_percentage: 'FLOAT64',
+      }
+    );
 
-  console.log(
-    `✅ [DEMOS] MERGE completed for job ${jobId} into ${DEMOS_TARGET_TABLE}`
-  );
+    console.log(
+      `✅ [DEMOS] MERGE completed for job ${jobId} into ${DEMOS_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [DEMOS] MERGE FAILED for job ${jobId} into ${DEMOS_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '1_demographics_Status', 'failed');
+    return;
+  }
 
-  // Step 5: mark completed + recompute main status
+  // Step 5: mark completed (also recomputes main status)
   await markSegmentStatus(jobId, '1_demographics_Status', 'completed');
-  await recomputeMainStatus(jobId);
 }
 
+registerStage({
+  stage: 'demographics',
+  segment: '1_demographics',
+  statusColumn: '1_demographics_Status',
+  resultTable: DEMOS_TARGET_TABLE,
+  dependsOn: [],
+  handler: handleDemographicsSegment,
+});
+
 module.exports = {
   handleDemographicsSegment,
 };
@@ -0,0 +1,132 @@
+// eventBus.js
+'use strict';
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const {
+  PROJECT_ID,
+  JOB_EVENTS_TRANSPORT,
+  JOB_EVENTS_TOPIC,
+  WORKER_URL,
+  PUBSUB_PUSH_TOKEN,
+} = require('./config');
+
+/**
+ * Job events transport. Every mode hands the worker the same thing Pub/Sub
+ * push would: { message: { data: <base64 JSON>, messageId, publishTime } }.
+ *
+ * - pubsub:    publish to the JOB_EVENTS_TOPIC topic (Cloud Run setup)
+ * - inprocess: call the subscribed worker handler in this process
+ * - http:      POST the envelope to WORKER_URL (worker running separately),
+ *              with PUBSUB_PUSH_TOKEN as bearer token when set
+ */
+
+let pubsub = null;
+const subscribers = [];
+
+/**
+ * Wrap a job event payload the way a Pub/Sub push subscription does.
+ */
+function toPushEnvelope(payload, messageId = uuidv4()) {
+  return {
+    message: {
+      data: Buffer.from(JSON.stringify(payload)).toString('base64'),
+      messageId,
+      publishTime: new Date().toISOString(),
+    },
+    subscription: `local/${JOB_EVENTS_TOPIC}`,
+  };
+}
+
+/**
+ * Register the worker's envelope handler for the 'inprocess' transport.
+ * handler(envelope) resolves to the HTTP status the worker would have sent.
+ */
+function subscribe(handler) {
+  subscribers.push(handler);
+}
+
+async function publishViaPubSub(payload) {
+  if (!pubsub) {
+    const { PubSub } = require('@google-cloud/pubsub');
+    pubsub = new PubSub({ projectId: PROJECT_ID });
+  }
+  const topic = pubsub.topic(JOB_EVENTS_TOPIC);
+  const dataBuffer = Buffer.from(JSON.stringify(payload));
+
+  const messageId = await topic.publishMessage({ data: dataBuffer });
+  console.log(
+    `📨 Published job ${payload.jobId} (stage=${payload.stage}) to Pub/Sub topic "${JOB_EVENTS_TOPIC}" with messageId=${messageId}`
+  );
+}
+
+async function publishInProcess(payload) {
+  if (!subscribers.length) {
+    throw new Error(
+      'No in-process job event subscriber registered (is the worker loaded?)'
+    );
+  }
+
+  const envelope = toPushEnvelope(payload);
+  console.log(
+    `📨 Delivering job ${payload.jobId} (stage=${payload.stage}) in-process with messageId=${envelope.message.messageId}`
+  );
+
+  // Deliver after the publisher returns, like a real push subscription.
+  setImmediate(() => {
+    for (const handler of subscribers) {
+      Promise.resolve()
+        .then(() => handler(envelope))
+        .then((status) => {
+          if (status && status >= 300) {
+            console.error(
+              `❌ In-process delivery of job ${payload.jobId} (stage=${payload.stage}) returned ${status}`
+            );
+          }
+        })
+        .catch((err) => {
+          console.error(
+            `❌ In-process delivery of job ${payload.jobId} (stage=${payload.stage}) failed:`,
+            err
+          );
+        });
+    }
+  });
+}
+
+async function publishViaHttp(payload) {
+  const envelope = toPushEnvelope(payload);
+  await axios.post(WORKER_URL, envelope, {
+    timeout: 15000,
+    headers: PUBSUB_PUSH_TOKEN
+      ? { Authorization: `Bearer ${PUBSUB_PUSH_TOKEN}` }
+      : {},
+  });
+  console.log(
+    `📨 Pushed job ${payload.jobId} (stage=${payload.stage}) to ${WORKER_URL} with messageId=${envelope.message.messageId}`
+  );
+}
+
+/**
+ * Publish a job event ({ jobId, stage, ... }) with the configured transport.
+ */
+async function publishJobEvent(payload) {
+  switch (JOB_EVENTS_TRANSPORT) {
+    case 'pubsub':
+      return publishViaPubSub(payload);
+    case 'inprocess':
+      return publishInProcess(payload);
+    case 'http':
+      return publishViaHttp(payload);
+    default:
+      throw new Error(
+        `Unknown JOB_EVENTS_TRANSPORT "${JOB_EVENTS_TRANSPORT}" (expected pubsub|inprocess|http)`
+      );
+  }
+}
+
+module.exports = {
+  publishJobEvent,
+  subscribe,
+  toPushEnvelope,
+};
@@ -1,54 +1,234 @@
 // index.js
 const express = require('express');
 const bodyParser = require('body-parser');
-const { BigQuery } = require('@google-cloud/bigquery');
-const { PubSub } = require('@google-cloud/pubsub');
 const { v4: uuidv4 } = require('uuid');
+const { getJobStore } = require('./jobStore');
+const { getStage } = require('./stages');
+const { publishInitialStages, retrySegment } = require('./orchestrator');
+const {
+  SEGMENT_STATUS_COLUMNS,
+  NEUTRAL_STATUSES,
+  isSegmentEnabled,
+} = require('./status');
+const {
+  loadSchema,
+  clientInputUrl,
+  verifyClientInputToken,
+  submitClientInput,
+} = require('./clientInput');
+const { CLIENT_INPUT_SECRET, IDEMPOTENCY_TTL_HOURS } = require('./config');
+const { validateJobRequest, fingerprintJobRequest } = require('./jobRequest');
+const { parseJobListQuery, jobListPage } = require('./jobQuery');
+const { parseInclude, buildJobDetail } = require('./jobDetail');
+const {
+  REPORT_FORMATS,
+  renderReportHtml,
+  isPdfRenderingEnabled,
+  renderReportPdf,
+} = require('./report');
+const {
+  SHEET_FORMATS,
+  parseExportQuery,
+  exportFileName,
+  exportJobs,
+  segmentExportColumns,
+  exportSegmentResults,
+} = require('./jobExport');
+const {
+  requireApiKey,
+  requireAdminApiKey,
+  canAccessJob,
+  isValidWorkspaceId,
+  describeApiKey,
+  createApiKey,
+  revokeApiKey,
+} = require('./apiKeys');
 
 const app = express();
 app.use(bodyParser.json());
 
-// === GCP setup ===
-const PROJECT_ID = 'ghs-construction-1734441714520';
-
-// BigQuery client
-const bigquery = new BigQuery({ projectId: PROJECT_ID });
-
-// Dataset + main jobs table
-const DATASET_ID = 'Client_audits';
-const JOBS_TABLE_ID = 'client_audits_jobs';
-
-// Pub/Sub client
-const pubsub = new PubSub({ projectId: PROJECT_ID });
-const JOB_EVENTS_TOPIC = 'client-audits-job-events';
+// Jobs live in BigQuery or the local memory store (see JOB_STORE)
+const store = getJobStore();
 
 // ---------- HEALTH CHECK ----------
 app.get('/', (req, res) => {
   res.send('Middle-layer API is running');
 });
 
-// ---------- Publish job event to Pub/Sub ----------
-async function publishJobEvent(payload) {
-  const topic = pubsub.topic(JOB_EVENTS_TOPIC);
-  const dataBuffer = Buffer.from(JSON.stringify(payload));
+/**
+ * Resolve the optional `segments` list of POST /jobs (segment keys like
+ * '7_organicSearch' or stage names like 'demographics') to status columns.
+ * Returns { columns } (null = every enabled segment) or { error }.
+ */
+function resolveRequestedSegments(segments) {
+  if (segments === undefined || segments === null) return { columns: null };
+  if (!Array.isArray(segments) || !segments.length) {
+    return { error: 'must be a non-empty array' };
+  }
+
+  const columns = new Set();
+  const unknown = [];
+  for (const name of segments) {
+    const def = typeof name === 'string' ? getStage(name) : null;
+    if (def) columns.add(def.statusColumn);
+    else unknown.push(name);
+  }
+  if (unknown.length) {
+    return { error: `has unknown segments: ${unknown.join(', ')}` };
+  }
+  return { columns };
+}
+
+/**
+ * Workspace a new job belongs to: the caller's own, or for admin keys the
+ * optional `workspaceId` of the body. Returns { workspaceId } or { error }.
+ */
+function resolveJobWorkspace(apiKey, workspaceId) {
+  if (workspaceId == null) {
+    if (apiKey.workspaceId) return { workspaceId: apiKey.workspaceId };
+    return { error: 'is required with an admin key that has no workspace' };
+  }
+  if (!isValidWorkspaceId(workspaceId)) {
+    return { error: 'must be 1-64 letters, digits, "-" or "_"' };
+  }
+  if (!apiKey.isAdmin && workspaceId !== apiKey.workspaceId) {
+    return { error: 'can only be set to another workspace with an admin key' };
+  }
+  return { workspaceId };
+}
+
+/**
+ * POST /jobs response body for a job row (also used for idempotent replays).
+ */
+function jobCreatedResponse(job) {
+  const clientInputStatus = job['9_clientInput_Status'];
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    '1_demographics_Status': job['1_demographics_Status'],
+    '7_organicSearch_Status': job['7_organicSearch_Status'],
+    '8_paidAds_Status': job['8_paidAds_Status'],
+    clientInputUrl: NEUTRAL_STATUSES.includes(clientInputStatus)
+      ? null
+      : clientInputUrl(job.jobId),
+  };
+}
 
-  const messageId = await topic.publishMessage({ data: dataBuffer });
-  console.log(
-    `📨 Published job ${payload.jobId} (stage=${payload.stage}) to Pub/Sub topic "${JOB_EVENTS_TOPIC}" with messageId=${messageId}`
+// Idempotency keys are per workspace, so one can't replay another's job
+function idempotencyStoreKey(workspaceId, key) {
+  return `${workspaceId}:${key}`;
+}
+
+/**
+ * Handle the Idempotency-Key header of POST /jobs. Returns true when a
+ * response was already sent (replay or conflict); otherwise the caller owns
+ * the key for `jobId` and must release it if the job never gets inserted.
+ */
+async function applyIdempotencyKey(res, key, jobId, value, workspaceId) {
+  if (key.length > 255 || !/^[\x21-\x7e]+$/.test(key)) {
+    res.status(400).json({
+      error: 'Invalid job request',
+      details: [
+        {
+          field: 'Idempotency-Key',
+          message: 'must be 1-255 printable ASCII characters',
+        },
+      ],
+    });
+    return true;
+  }
+
+  const requestHash = fingerprintJobRequest(value);
+  const record = await store.claimIdempotencyKey(
+    idempotencyStoreKey(workspaceId, key),
+    {
+      requestHash,
+      jobId,
+      expiresAt: new Date(
+        Date.now() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000
+      ).toISOString(),
+    }
   );
+
+  if (!record || record.jobId === jobId) return false;
+
+  if (record.requestHash !== requestHash) {
+    console.warn(`⚠️ Idempotency-Key ${key} reused with a different body`);
+    res.status(409).json({
+      error: 'Idempotency-Key was already used with a different request body',
+      jobId: record.jobId,
+    });
+    return true;
+  }
+
+  const job = await store.loadJob(record.jobId);
+  if (!job) {
+    res.status(409).json({
+      error: 'A request with this Idempotency-Key is still being processed',
+      jobId: record.jobId,
+    });
+    return true;
+  }
+
+  console.log(`↩️ Idempotency-Key ${key} replayed for job ${job.jobId}`);
+  res.set('Idempotent-Replayed', 'true').json(jobCreatedResponse(job));
+  return true;
 }
 
 // === POST /jobs - submit a new job ===
-app.post('/jobs', async (req, res) => {
+// The body is validated and normalized (see jobRequest.js) before anything
+// is stored; problems come back as 400 { error, details: [{ field, message }] }.
+// Optional `segments` limits the audit to those segments; the others are
+// stored as 'not_requested'. A requested segment whose dependency was not
+// requested runs without that input.
+// With an Idempotency-Key header, a retry with the same body returns the
+// original job instead of creating another; a different body gets 409.
+// The job belongs to the API key's workspace (admins may pass workspaceId).
+app.post('/jobs', requireApiKey, async (req, res) => {
   const jobId = uuidv4();
-  const {
-    user = {},
-    business = {},
-    revenue = null,
-    budget = null,
-    services = [],
-    location = null,
-  } = req.body;
+
+  const { errors, value } = validateJobRequest(req.body);
+  // Not an object: nothing to resolve segments or the workspace from
+  if (errors.some((e) => e.field === 'body')) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid job request', details: errors });
+  }
+  const requested = resolveRequestedSegments(value.segments);
+  if (requested.error) {
+    errors.push({ field: 'segments', message: requested.error });
+  }
+  const workspace = resolveJobWorkspace(req.apiKey, value.workspaceId);
+  if (workspace.error) {
+    errors.push({ field: 'workspaceId', message: workspace.error });
+  }
+  if (errors.length) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid job request', details: errors });
+  }
+
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey !== undefined) {
+    try {
+      if (
+        await applyIdempotencyKey(
+          res,
+          idempotencyKey,
+          jobId,
+          value,
+          workspace.workspaceId
+        )
+      ) {
+        return;
+      }
+    } catch (err) {
+      console.error('❌ Idempotency-Key check failed:', err);
+      return res.status(500).json({ error: 'Failed to insert job' });
+    }
+  }
+
+  const { user, business, revenue, budget, services, location } = value;
 
   const createdAt = new Date().toISOString();
   const initialStatus = 'queued';
@@ -56,177 +236,78 @@ app.post('/jobs', async (req, res) => {
   // Prepare values (note: we store services as JSON string)
   const row = {
     jobId,
+    workspaceId: workspace.workspaceId,
+    createdAt,
+    status: initialStatus,
+    businessName: business.name || null,
     firstName: user.firstName || null,
     lastName: user.lastName || null,
     email: user.email || null,
     phone: user.phone || null,
-    businessName: business.name || null,
     website: business.website || null,
-    services: JSON.stringify(services || []),
+    services: JSON.stringify(services),
     revenue,
     budget,
     location,
-    status: initialStatus,
-
-    // Segment statuses (1–10)
-    s1: initialStatus,  // 1_demographics_Status
-    s2: initialStatus,  // 2_industryStats_Status
-    s3: initialStatus,  // 3_leadChannelRanking_Status
-    s4: initialStatus,  // 4_marketStats_Status
-    s5: initialStatus,  // 5_keywords_Status
-    s6: initialStatus,  // 6_seasonality_Status
-    s7: initialStatus,  // 7_organicSearch_Status
-    s8: initialStatus,  // 8_paidAds_Status
-    s9: initialStatus,  // 9_clientInput_Status
-    s10: initialStatus, // 10_summary_Status
-
-    createdAt,
   };
 
+  // Segment statuses (1–10); segments without a worker stage don't apply
+  for (const column of SEGMENT_STATUS_COLUMNS) {
+    if (!isSegmentEnabled(column)) {
+      row[column] = 'not_applicable';
+    } else if (requested.columns && !requested.columns.has(column)) {
+      row[column] = 'not_requested';
+    } else {
+      row[column] = initialStatus;
+    }
+  }
+
+  let inserted = false;
   try {
-    const insertQuery = `
-      INSERT \`${PROJECT_ID}.${DATASET_ID}.${JOBS_TABLE_ID}\`
-        (jobId,
-         createdAt,
-         status,
-         businessName,
-         firstName,
-         lastName,
-         email,
-         phone,
-         website,
-         services,
-         revenue,
-         budget,
-         location,
-         \`1_demographics_Status\`,
-         \`2_industryStats_Status\`,
-         \`3_leadChannelRanking_Status\`,
-         \`4_marketStats_Status\`,
-         \`5_keywords_Status\`,
-         \`6_seasonality_Status\`,
-         \`7_organicSearch_Status\`,
-         \`8_paidAds_Status\`,
-         \`9_clientInput_Status\`,
-         \`10_summary_Status\`
-        )
-      VALUES
-        (@jobId,
-         @createdAt,
-         @status,
-         @businessName,
-         @firstName,
-         @lastName,
-         @email,
-         @phone,
-         @website,
-         @services,
-         @revenue,
-         @budget,
-         @location,
-         @s1,
-         @s2,
-         @s3,
-         @s4,
-         @s5,
-         @s6,
-         @s7,
-         @s8,
-         @s9,
-         @s10
-        )
-    `;
-
-    await bigquery.query({
-      query: insertQuery,
-      params: {
-        jobId: row.jobId,
-        createdAt: row.createdAt,
-        status: row.status,
-        businessName: row.businessName,
-        firstName: row.firstName,
-        lastName: row.lastName,
-        email: row.email,
-        phone: row.phone,
-        website: row.website,
-        services: row.services,
-        revenue: row.revenue,
-        budget: row.budget,
-        location: row.location,
-        s1: row.s1,
-        s2: row.s2,
-        s3: row.s3,
-        s4: row.s4,
-        s5: row.s5,
-        s6: row.s6,
-        s7: row.s7,
-        s8: row.s8,
-        s9: row.s9,
-        s10: row.s10,
-      },
-    });
+    await store.insertJob(row);
+    inserted = true;
 
-    console.log(`✅ Job inserted successfully (DML): ${jobId}`);
+    console.log(`✅ Job inserted successfully: ${jobId}`);
 
-    // publish events to worker for multiple stages
-    await publishJobEvent({
-      jobId,
-      location,
-      createdAt,
-      stage: 'demographics',
-    });
+    // publish the stages that can start right away; the orchestrator
+    // publishes the rest as their dependencies finish
+    await publishInitialStages(row);
 
-    await publishJobEvent({
-      jobId,
-      location,
-      createdAt,
-      stage: '7_organicSearch',
-    });
-
-    res.json({
-      jobId,
-      status: row.status,
-      '1_demographics_Status': row.s1,
-      '7_organicSearch_Status': row.s7,
-      '8_paidAds_Status': row.s8,
-    });
+    res.json(jobCreatedResponse(row));
   } catch (err) {
-    console.error('❌ BigQuery Insert Error (DML):', err);
+    console.error('❌ Job Insert Error:', err);
+    // Nothing was created, so let a retry with the same key start over
+    if (idempotencyKey !== undefined && !inserted) {
+      await store
+        .releaseIdempotencyKey(
+          idempotencyStoreKey(workspace.workspaceId, idempotencyKey),
+          jobId
+        )
+        .catch((e) => console.error('❌ Idempotency-Key release failed:', e));
+    }
     const message = err.errors ? JSON.stringify(err.errors) : err.message;
     res.status(500).json({ error: 'Failed to insert job', details: message });
   }
 });
 
 // === GET /status?jobId= - check job status ===
-app.get('/status', async (req, res) => {
+// Jobs of other workspaces are 404, as if they didn't exist.
+app.get('/status', requireApiKey, async (req, res) => {
   const { jobId } = req.query;
   if (!jobId) return res.status(400).json({ error: 'jobId is required' });
 
-  const query = {
-    query: `
-      SELECT
-        status,
-        \`1_demographics_Status\` AS demographicsStatus,
-        \`7_organicSearch_Status\` AS organicSearchStatus,
-        \`8_paidAds_Status\` AS paidAdsStatus
-      FROM \`${PROJECT_ID}.${DATASET_ID}.${JOBS_TABLE_ID}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId },
-  };
-
   try {
-    const [rows] = await bigquery.query(query);
-    if (!rows.length) return res.status(404).json({ error: 'Job not found' });
+    const job = await store.loadJob(jobId);
+    if (!job || !canAccessJob(req.apiKey, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-    const row = rows[0];
     res.json({
       jobId,
-      status: row.status,
-      demographicsStatus: row.demographicsStatus,
-      organicSearchStatus: row.organicSearchStatus,
-      paidAdsStatus: row.paidAdsStatus,
+      status: job.status,
+      demographicsStatus: job['1_demographics_Status'],
+      organicSearchStatus: job['7_organicSearch_Status'],
+      paidAdsStatus: job['8_paidAds_Status'],
     });
   } catch (err) {
     console.error('Failed to fetch job status:', err);
@@ -234,38 +315,215 @@ app.get('/status', async (req, res) => {
   }
 });
 
-// === GET /jobs - list all jobs (dashboard) ===
-app.get('/jobs', async (req, res) => {
-  const query = `
-    SELECT *
-    FROM \`${PROJECT_ID}.${DATASET_ID}.${JOBS_TABLE_ID}\`
-    ORDER BY createdAt DESC
-  `;
+/**
+ * Workspace a listing reads: the key's own, or for admins every workspace or
+ * the one in ?workspaceId=. Validation errors go into `errors`.
+ */
+function listWorkspaceId(req, errors) {
+  if (!req.apiKey.isAdmin) return req.apiKey.workspaceId;
+
+  const { workspaceId } = req.query;
+  if (workspaceId !== undefined && !isValidWorkspaceId(workspaceId)) {
+    errors.push({
+      field: 'workspaceId',
+      message: 'must be 1-64 letters, digits, "-" or "_"',
+    });
+  }
+  return workspaceId;
+}
+
+// === GET /jobs - list the workspace's jobs (dashboard) ===
+// Filters, sort, `fields` and cursor pagination: see jobQuery.js. Answers
+// { data, nextCursor, limit }; pass nextCursor as ?cursor= for the next page.
+// Admin keys see every workspace, or one with ?workspaceId=.
+app.get('/jobs', requireApiKey, async (req, res) => {
+  const { errors, value } = parseJobListQuery(req.query);
+  const workspaceId = listWorkspaceId(req, errors);
+  if (errors.length) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid jobs query', details: errors });
+  }
 
   try {
-    const [rows] = await bigquery.query({ query });
-    res.json(rows);
+    // one extra row tells whether there is a next page
+    const rows = await store.listJobs({
+      ...value,
+      limit: value.limit + 1,
+      workspaceId,
+    });
+    res.json(jobListPage(rows, value));
   } catch (err) {
     console.error('Failed to fetch jobs:', err);
     res.status(500).json({ error: 'Failed to fetch jobs' });
   }
 });
 
+/**
+ * Send the headers of a spreadsheet download.
+ */
+function startExport(res, name, format) {
+  res
+    .status(200)
+    .type(SHEET_FORMATS[format].contentType)
+    .set(
+      'Content-Disposition',
+      `attachment; filename="${exportFileName(name, format)}"`
+    );
+}
+
+/**
+ * An export failed: a JSON error if nothing was sent yet, else cut the
+ * download off so it can't pass for a complete file.
+ */
+function failExport(res, label, err) {
+  console.error(`Failed to export ${label}:`, err);
+  if (res.headersSent) res.destroy(err);
+  else res.status(500).json({ error: `Failed to export ${label}` });
+}
+
+// === GET /exports/jobs?format=csv|xlsx - spreadsheet of the jobs list ===
+// Takes the GET /jobs filters, sort and fields; streams every matching job.
+app.get('/exports/jobs', requireApiKey, async (req, res) => {
+  const { errors, value } = parseExportQuery(req.query);
+  const workspaceId = listWorkspaceId(req, errors);
+  if (errors.length) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid export query', details: errors });
+  }
+
+  try {
+    startExport(res, 'jobs', value.format);
+    const count = await exportJobs(res, {
+      ...value,
+      workspaceId,
+    });
+    console.log(`📤 Exported ${count} jobs as ${value.format}`);
+  } catch (err) {
+    failExport(res, 'jobs', err);
+  }
+});
+
+// === GET /exports/segments/:segment?format=csv|xlsx - results joined to jobs ===
+// Same query as /exports/jobs; one row per job that has a result row.
+app.get('/exports/segments/:segment', requireApiKey, async (req, res) => {
+  const { segment } = req.params;
+  const def = getStage(segment);
+  if (!def || !def.resultTable) {
+    return res.status(404).json({ error: `Unknown segment "${segment}"` });
+  }
+
+  const { errors, value } = parseExportQuery(req.query);
+  const workspaceId = listWorkspaceId(req, errors);
+  if (errors.length) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid export query', details: errors });
+  }
+
+  try {
+    const columns = await segmentExportColumns(def, value.fields);
+    startExport(res, def.segment, value.format);
+    const count = await exportSegmentResults(res, def, columns, {
+      ...value,
+      workspaceId,
+    });
+    console.log(
+      `📤 Exported ${count} ${def.segment} results as ${value.format}`
+    );
+  } catch (err) {
+    failExport(res, `${def.segment} results`, err);
+  }
+});
+
+// === GET /jobs/:jobId?include= - full audit detail ===
+// Input, every segment's status and the stored results (see jobDetail.js).
+// include=1_demographics,organicSearch... limits which segments get their
+// results expanded; include=none expands none.
+app.get('/jobs/:jobId', requireApiKey, async (req, res) => {
+  const { segments, error } = parseInclude(req.query.include);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid job detail query',
+      details: [{ field: 'include', message: error }],
+    });
+  }
+
+  try {
+    const job = await store.loadJob(req.params.jobId);
+    if (!job || !canAccessJob(req.apiKey, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(await buildJobDetail(job, { include: segments }));
+  } catch (err) {
+    console.error('Failed to fetch job detail:', err);
+    res.status(500).json({ error: 'Failed to fetch job detail' });
+  }
+});
+
+// === GET /jobs/:jobId/report - branded audit report (?format=html|pdf) ===
+app.get('/jobs/:jobId/report', requireApiKey, async (req, res) => {
+  const format =
+    req.query.format === undefined ? 'html' : String(req.query.format);
+  if (!REPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid report query',
+      details: [
+        {
+          field: 'format',
+          message: `must be one of ${REPORT_FORMATS.join(', ')}`,
+        },
+      ],
+    });
+  }
+  if (format === 'pdf' && !isPdfRenderingEnabled()) {
+    return res.status(503).json({
+      error: 'PDF reports are not configured (REPORT_PDF_RENDERER_URL)',
+    });
+  }
+
+  try {
+    const job = await store.loadJob(req.params.jobId);
+    if (!job || !canAccessJob(req.apiKey, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const html = await renderReportHtml(job);
+    if (format === 'html') {
+      return res.type('html').send(html);
+    }
+
+    let pdf;
+    try {
+      pdf = await renderReportPdf(html);
+    } catch (err) {
+      console.error(`Failed to render PDF report for job ${job.jobId}:`, err);
+      return res.status(502).json({ error: 'Failed to render PDF report' });
+    }
+    res
+      .type('pdf')
+      .set('Content-Disposition', `inline; filename="audit-${job.jobId}.pdf"`)
+      .send(pdf);
+  } catch (err) {
+    console.error('Failed to build job report:', err);
+    res.status(500).json({ error: 'Failed to build job report' });
+  }
+});
+
 // === DELETE /jobs/:jobId - remove a job ===
-app.delete('/jobs/:jobId', async (req, res) => {
+app.delete('/jobs/:jobId', requireApiKey, async (req, res) => {
   const jobId = req.params.jobId;
   if (!jobId) return res.status(400).json({ error: 'jobId is required' });
 
-  const query = {
-    query: `
-      DELETE FROM \`${PROJECT_ID}.${DATASET_ID}.${JOBS_TABLE_ID}\`
-      WHERE jobId = @jobId
-    `,
-    params: { jobId },
-  };
-
   try {
-    await bigquery.query(query);
+    const job = await store.loadJob(jobId);
+    if (!job || !canAccessJob(req.apiKey, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    await store.deleteJob(jobId);
     console.log(`Deleted job ${jobId}`);
     res.json({ message: 'Job deleted', jobId });
   } catch (err) {
@@ -274,8 +532,181 @@ app.delete('/jobs/:jobId', async (req, res) => {
   }
 });
 
-// === Start server ===
-const port = process.env.PORT || 8080;
-app.listen(port, () => {
-  console.log(`Middle-layer API running on port ${port}`);
+// === POST /jobs/:jobId/segments/:segment/retry - run a segment again ===
+// Allowed for failed / skipped / queued segments; completed or pending ones
+// need { "force": true } (or ?force=true). Segments skipped because of it,
+// and the summary, are reset along with it.
+app.post(
+  '/jobs/:jobId/segments/:segment/retry',
+  requireApiKey,
+  async (req, res) => {
+    const { jobId, segment } = req.params;
+    const force = [true, 'true', '1'].includes(
+      req.body && req.body.force !== undefined
+        ? req.body.force
+        : req.query.force
+    );
+
+    try {
+      const job = await store.loadJob(jobId);
+      if (!job || !canAccessJob(req.apiKey, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      const result = await retrySegment(jobId, segment, { force });
+      if (result.error) {
+        return res.status(result.httpStatus).json({ error: result.error });
+      }
+
+      console.log(
+        `🔁 Retry of ${result.segment} queued for job ${jobId} (attempt ${result.attempt})`
+      );
+      res.status(202).json(result);
+    } catch (err) {
+      console.error('Failed to retry segment:', err);
+      res.status(500).json({ error: 'Failed to retry segment' });
+    }
+  }
+);
+
+/**
+ * Resolve the job behind a client questionnaire link. Sends the error
+ * response itself and returns null when the link is unusable.
+ */
+async function loadClientInputJob(req, res) {
+  if (!CLIENT_INPUT_SECRET) {
+    res.status(503).json({ error: 'Client input links are not configured' });
+    return null;
+  }
+
+  const { jobId } = req.params;
+  const token = req.query.token || (req.body && req.body.token);
+  if (!verifyClientInputToken(jobId, token)) {
+    console.warn(`⚠️ [CLIENT] Invalid client input token for job ${jobId}`);
+    res.status(401).json({ error: 'Invalid or missing token' });
+    return null;
+  }
+
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+// === GET /jobs/:jobId/client-input?token= - questionnaire for the client ===
+app.get('/jobs/:jobId/client-input', async (req, res) => {
+  try {
+    const job = await loadClientInputJob(req, res);
+    if (!job) return;
+
+    res.json({
+      jobId: job.jobId,
+      businessName: job.businessName,
+      clientInputStatus: job['9_clientInput_Status'],
+      schema: loadSchema(),
+    });
+  } catch (err) {
+    console.error('Failed to load client input form:', err);
+    res.status(500).json({ error: 'Failed to load client input form' });
+  }
+});
+
+// === POST /jobs/:jobId/client-input?token= - client submits answers ===
+// body: { schemaVersion, answers: { marketingChannels: [...], ... } }
+app.post('/jobs/:jobId/client-input', async (req, res) => {
+  try {
+    const job = await loadClientInputJob(req, res);
+    if (!job) return;
+
+    const result = await submitClientInput(job, req.body || {});
+    if (result.httpStatus) {
+      return res.status(result.httpStatus).json({ error: result.error });
+    }
+    if (result.errors) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid client input', details: result.errors });
+    }
+
+    console.log(`✅ Client input stored for job ${job.jobId}`);
+    res.json({
+      jobId: job.jobId,
+      schemaVersion: result.schemaVersion,
+      clientInputStatus: 'completed',
+    });
+  } catch (err) {
+    console.error('Failed to store client input:', err);
+    const message = err.errors ? JSON.stringify(err.errors) : err.message;
+    res
+      .status(500)
+      .json({ error: 'Failed to store client input', details: message });
+  }
+});
+
+// ---------- ADMIN: API KEYS ----------
+
+// === POST /admin/api-keys - create a key ===
+// body: { workspaceId, role: 'member' | 'admin', name? }
+// The key itself is only in this response; store it right away.
+app.post('/admin/api-keys', requireAdminApiKey, async (req, res) => {
+  try {
+    const result = await createApiKey(req.body || {});
+    if (result.errors) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid API key request', details: result.errors });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('Failed to create API key:', err);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
 });
+
+// === GET /admin/api-keys?workspaceId= - list keys (revoked ones too) ===
+app.get('/admin/api-keys', requireAdminApiKey, async (req, res) => {
+  const errors = [];
+  const workspaceId = listWorkspaceId(req, errors);
+  if (errors.length) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid API key query', details: errors });
+  }
+
+  try {
+    const rows = await store.listApiKeys({ workspaceId });
+    res.json(rows.map(describeApiKey));
+  } catch (err) {
+    console.error('Failed to fetch API keys:', err);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// === DELETE /admin/api-keys/:keyId - revoke a key ===
+app.delete('/admin/api-keys/:keyId', requireAdminApiKey, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    if (!(await revokeApiKey(keyId))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ message: 'API key revoked', keyId });
+  } catch (err) {
+    console.error('Failed to revoke API key:', err);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// === Start server ===
+function start(port = process.env.PORT || 8080) {
+  return app.listen(port, () => {
+    console.log(`Middle-layer API running on port ${port}`);
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start };
@@ -0,0 +1,192 @@
+// industryStats.js
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const { parseServices, segmentSkipReason } = require('./jobHelpers');
+
+const INDUSTRY_SOURCE_TABLE = '2_industryStats';
+const INDUSTRY_TARGET_TABLE = '2_industryStatsJobs';
+
+/**
+ * Reference rows are keyed by lowercase service name, e.g. "roofing".
+ */
+function serviceKey(service) {
+  return String(service || '').trim().toLowerCase();
+}
+
+function average(values) {
+  const nums = values.map(Number).filter((v) => Number.isFinite(v));
+  if (!nums.length) return null;
+  return nums.reduce((sum, v) => sum + v, 0) / nums.length;
+}
+
+async function handleIndustryStatsSegment(jobId, event = {}) {
+  console.log(
+    `▶️ [INDUSTRY] Starting industry stats processing for job ${jobId}`
+  );
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(
+      `⚠️ [INDUSTRY] No job row found for jobId=${jobId}, skipping.`
+    );
+    return;
+  }
+
+  const { businessName, createdAt, services } = job;
+  const industryStatsStatus = job['2_industryStats_Status'];
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '2_industryStats_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [INDUSTRY] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  const servicesArr = parseServices(services);
+
+  console.log(
+    `ℹ️ [INDUSTRY] Job ${jobId} services = ${JSON.stringify(
+      servicesArr
+    )}, industryStatsStatus = ${industryStatsStatus}`
+  );
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '2_industryStats_Status', 'pending');
+
+  // Step 2: load benchmark rows for each service
+  const benchmarks = [];
+  const unmatched = [];
+  try {
+    for (const service of servicesArr) {
+      const rows = await store.queryReference(
+        INDUSTRY_SOURCE_TABLE,
+        { service: serviceKey(service) },
+        { limit: 1 }
+      );
+      if (rows.length) {
+        const r = rows[0];
+        benchmarks.push({
+          service,
+          avg_ticket_size: r.avg_ticket_size,
+          close_rate: r.close_rate,
+          marketing_spend_pct: r.marketing_spend_pct,
+        });
+      } else {
+        unmatched.push(service);
+      }
+    }
+  } catch (err) {
+    console.error(
+      `❌ [INDUSTRY] Reference lookup FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '2_industryStats_Status',
+      'failed',
+      `industry benchmark lookup failed: ${err.message || err}`
+    );
+    return;
+  }
+
+  const createdAtTs = createdAt?.value || createdAt || null;
+
+  // No benchmarks for any of the job's services: record it and skip the segment
+  if (!benchmarks.length) {
+    const reason = servicesArr.length
+      ? `no industry benchmarks for services ${JSON.stringify(servicesArr)}`
+      : 'job has no services';
+    console.warn(`⚠️ [INDUSTRY] ${reason} (job ${jobId}), marking skipped.`);
+
+    // The no_match row is only a record; skip the segment even without it
+    try {
+      await store.upsertSegmentResult(
+        INDUSTRY_TARGET_TABLE,
+        jobId,
+        {
+          businessName: businessName || null,
+          date: createdAtTs,
+          matchedServices: JSON.stringify([]),
+          unmatchedServices: JSON.stringify(unmatched),
+          status: 'no_match',
+        },
+        { businessName: 'STRING', date: 'TIMESTAMP' }
+      );
+    } catch (err) {
+      console.error(
+        `❌ [INDUSTRY] no_match MERGE FAILED for job ${jobId} into ${INDUSTRY_TARGET_TABLE}:`,
+        err && err.errors ? err.errors : err
+      );
+    }
+    await markSegmentStatus(jobId, '2_industryStats_Status', 'skipped', reason);
+    return;
+  }
+
+  // Step 3: blend benchmarks across matched services
+  const avgTicketSize = average(benchmarks.map((b) => b.avg_ticket_size));
+  const closeRate = average(benchmarks.map((b) => b.close_rate));
+  const marketingSpendPct = average(
+    benchmarks.map((b) => b.marketing_spend_pct)
+  );
+
+  console.log(
+    `ℹ️ [INDUSTRY] Step 4 storing industry stats for job ${jobId}: matched=${benchmarks.length}, unmatched=${unmatched.length}, avg_ticket=${avgTicketSize}, close_rate=${closeRate}, marketing_pct=${marketingSpendPct}`
+  );
+
+  // Step 4: MERGE into 2_industryStatsJobs
+  try {
+    await store.upsertSegmentResult(
+      INDUSTRY_TARGET_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        date: createdAtTs,
+        avg_ticket_size: avgTicketSize,
+        close_rate: closeRate,
+        marketing_spend_pct: marketingSpendPct,
+        matchedServices: JSON.stringify(benchmarks.map((b) => b.service)),
+        unmatchedServices: JSON.stringify(unmatched),
+        benchmarks: JSON.stringify(benchmarks),
+        status: 'completed',
+      },
+      {
+        businessName: 'STRING',
+        date: 'TIMESTAMP',
+        avg_ticket_size: 'FLOAT64',
+        close_rate: 'FLOAT64',
+        marketing_spend_pct: 'FLOAT64',
+      }
+    );
+
+    console.log(
+      `✅ [INDUSTRY] MERGE completed for job ${jobId} into ${INDUSTRY_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [INDUSTRY] MERGE FAILED for job ${jobId} into ${INDUSTRY_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '2_industryStats_Status', 'failed');
+    return;
+  }
+
+  // Step 5: mark completed (also recomputes main status)
+  await markSegmentStatus(jobId, '2_industryStats_Status', 'completed');
+}
+
+registerStage({
+  stage: '2_industryStats',
+  segment: '2_industryStats',
+  statusColumn: '2_industryStats_Status',
+  resultTable: INDUSTRY_TARGET_TABLE,
+  resultJsonColumns: ['matchedServices', 'unmatchedServices', 'benchmarks'],
+  dependsOn: [],
+  handler: handleIndustryStatsSegment,
+});
+
+module.exports = {
+  handleIndustryStatsSegment,
+};
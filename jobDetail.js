@@ -0,0 +1,150 @@
+// jobDetail.js
+'use strict';
+
+const { getJobStore } = require('./jobStore');
+const { getStage } = require('./stageRegistry');
+const { SEGMENT_STATUS_COLUMNS, isSegmentEnabled } = require('./status');
+const {
+  bqTimestampToIso,
+  getSegmentMeta,
+  parseServices,
+} = require('./jobHelpers');
+
+/**
+ * The GET /jobs/:jobId document: the job's input, every segment's status
+ * and, for the expanded segments, its stored result row.
+ *
+ *   {
+ *     jobId, workspaceId, status, createdAt,
+ *     input: { user, business, revenue, budget, services, location },
+ *     segments: {
+ *       '1_demographics': { status, reason, attempt, updatedAt, result },
+ *       ...
+ *     }
+ *   }
+ *
+ * `result` is only loaded for completed segments (a failed or skipped one
+ * may have left a partial or seed row behind), with the stage's
+ * resultJsonColumns parsed and its formatResult applied; it is null
+ * otherwise and left out for segments that aren't expanded.
+ */
+
+/**
+ * Resolve the `include` query parameter (comma-separated segment keys or
+ * stage names, or "none") to the set of expanded segments.
+ * Returns { segments } (null = all) or { error }.
+ */
+function parseInclude(include) {
+  if (include === undefined) return { segments: null };
+
+  const names = String(include)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') {
+    return { segments: new Set() };
+  }
+
+  const segments = new Set();
+  const unknown = [];
+  for (const name of names) {
+    const def = getStage(name);
+    if (def) segments.add(def.segment);
+    else unknown.push(name);
+  }
+  if (!names.length || unknown.length) {
+    return {
+      error: unknown.length
+        ? `has unknown segments: ${unknown.join(', ')}`
+        : 'must list segments or be "none"',
+    };
+  }
+  return { segments };
+}
+
+function parseJsonColumn(value) {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * A stored result row as it appears in the detail document.
+ */
+function formatSegmentResult(def, row) {
+  const { jobId, ...result } = row;
+  for (const column of def.resultJsonColumns) {
+    if (column in result) result[column] = parseJsonColumn(result[column]);
+  }
+  for (const [key, value] of Object.entries(result)) {
+    // BigQuery TIMESTAMP / NUMERIC values come back as wrapper objects
+    if (value && typeof value === 'object' && 'value' in value) {
+      result[key] = value.value;
+    }
+  }
+  return def.formatResult ? def.formatResult(result) : result;
+}
+
+async function buildJobDetail(job, { include } = {}) {
+  const store = getJobStore();
+
+  // Promise.all keeps segment order whatever order the lookups finish in
+  const segments = await Promise.all(
+    SEGMENT_STATUS_COLUMNS.map(async (column) => {
+      const def = getStage(column);
+      const status = job[column] || 'queued';
+      const meta = getSegmentMeta(job, column);
+
+      const entry = {
+        status,
+        reason: meta.reason || null,
+        attempt: meta.attempt || 1,
+        updatedAt: meta.updatedAt || null,
+      };
+
+      if (!isSegmentEnabled(column)) {
+        return [column.replace(/_Status$/, ''), entry];
+      }
+      if (def.resultTable && (!include || include.has(def.segment))) {
+        const row =
+          status === 'completed'
+            ? await store.loadSegmentResult(def.resultTable, job.jobId)
+            : null;
+        entry.result = row ? formatSegmentResult(def, row) : null;
+      }
+      return [def.segment, entry];
+    })
+  );
+
+  return {
+    jobId: job.jobId,
+    workspaceId: job.workspaceId || null,
+    status: job.status,
+    createdAt: bqTimestampToIso(job.createdAt),
+    input: {
+      user: {
+        firstName: job.firstName || null,
+        lastName: job.lastName || null,
+        email: job.email || null,
+        phone: job.phone || null,
+      },
+      business: {
+        name: job.businessName || null,
+        website: job.website || null,
+      },
+      revenue: job.revenue ?? null,
+      budget: job.budget ?? null,
+      services: parseServices(job.services),
+      location: job.location || null,
+    },
+    segments: Object.fromEntries(segments),
+  };
+}
+
+module.exports = {
+  parseInclude,
+  buildJobDetail,
+};
@@ -0,0 +1,194 @@
+// jobExport.js
+'use strict';
+
+const { getJobStore } = require('./jobStore');
+const { JOB_COLUMNS, parseJobListQuery, keysetAfter } = require('./jobQuery');
+const { SHEET_FORMATS, createSheetWriter } = require('./spreadsheet');
+
+/**
+ * Spreadsheet exports behind GET /exports/jobs and
+ * GET /exports/segments/:segment.
+ *
+ * Both take the GET /jobs filters, sort and fields (not limit / cursor) plus
+ * format=csv|xlsx. Jobs are read EXPORT_BATCH_SIZE at a time with the same
+ * keyset pagination as the listing and written out batch by batch.
+ *
+ * Columns are always in a fixed order:
+ * - jobs: JOB_COLUMNS order (only the requested `fields` when given);
+ * - segments: SEGMENT_EXPORT_JOB_COLUMNS (or `fields`) and the segment's
+ *   status column, then the result table's own columns in table order,
+ *   minus the ones the job columns already hold. Only jobs with a result
+ *   row are exported.
+ */
+
+const EXPORT_BATCH_SIZE = 500;
+
+const SEGMENT_EXPORT_JOB_COLUMNS = [
+  'jobId',
+  'workspaceId',
+  'createdAt',
+  'status',
+  'businessName',
+  'email',
+  'website',
+  'location',
+  'services',
+];
+
+// Result columns repeating the job (status = the segment status column)
+const DUPLICATE_RESULT_COLUMNS = [
+  'jobId',
+  'businessName',
+  'website',
+  'location',
+  'status',
+];
+
+/**
+ * parseJobListQuery plus `format`; limit / cursor make no sense here.
+ */
+function parseExportQuery(query = {}) {
+  const { format = 'csv', ...listQuery } = query;
+  const errors = [];
+
+  if (!SHEET_FORMATS[format]) {
+    errors.push({
+      field: 'format',
+      message: `must be one of ${Object.keys(SHEET_FORMATS).join(', ')}`,
+    });
+  }
+  for (const field of ['limit', 'cursor']) {
+    if (listQuery[field] !== undefined) {
+      errors.push({ field, message: 'is not supported for exports' });
+      delete listQuery[field];
+    }
+  }
+
+  const parsed = parseJobListQuery(listQuery);
+  const { filters, sort, fields } = parsed.value;
+  return {
+    errors: [...errors, ...parsed.errors],
+    value: { format, filters, sort, fields },
+  };
+}
+
+/**
+ * Every job matching the query, in pages of EXPORT_BATCH_SIZE.
+ */
+async function* jobBatches({ workspaceId, filters, sort, fields }) {
+  const store = getJobStore();
+  let after = null;
+
+  for (;;) {
+    const rows = await store.listJobs({
+      workspaceId,
+      filters,
+      sort,
+      after,
+      limit: EXPORT_BATCH_SIZE,
+      fields,
+    });
+    if (rows.length) yield rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+
+    after = keysetAfter(sort, rows[rows.length - 1]);
+  }
+}
+
+function exportFileName(name, format, now = new Date()) {
+  return `${name}-${now.toISOString().slice(0, 10)}.${
+    SHEET_FORMATS[format].extension
+  }`;
+}
+
+/**
+ * Write every job matching `query` (parsed by parseExportQuery, plus the
+ * caller's workspaceId) to `out`. Resolves to the number of rows written.
+ */
+async function exportJobs(out, query) {
+  const columns = query.fields
+    ? JOB_COLUMNS.filter((c) => query.fields.includes(c))
+    : JOB_COLUMNS;
+
+  const sheet = createSheetWriter(query.format, out, { sheetName: 'Jobs' });
+  await sheet.writeHeader(columns);
+
+  let count = 0;
+  for await (const jobs of jobBatches(query)) {
+    if (out.destroyed) return count; // client went away
+    await sheet.writeRows(jobs.map((job) => columns.map((c) => job[c])));
+    count += jobs.length;
+  }
+  await sheet.end();
+  return count;
+}
+
+/**
+ * Columns of a segment export for stage `def`.
+ */
+async function segmentExportColumns(def, fields) {
+  const jobColumns = [
+    ...(fields
+      ? JOB_COLUMNS.filter((c) => fields.includes(c))
+      : SEGMENT_EXPORT_JOB_COLUMNS),
+    def.statusColumn,
+  ].filter((c, i, all) => all.indexOf(c) === i);
+
+  const resultColumns = (
+    await getJobStore().listSegmentResultColumns(def.resultTable)
+  ).filter(
+    (c) => !DUPLICATE_RESULT_COLUMNS.includes(c) && !jobColumns.includes(c)
+  );
+  return { jobColumns, resultColumns };
+}
+
+/**
+ * Write the result rows of stage `def` joined to their jobs to `out`.
+ * `columns` comes from segmentExportColumns. Resolves to the row count.
+ */
+async function exportSegmentResults(out, def, columns, query) {
+  const store = getJobStore();
+  const { jobColumns, resultColumns } = columns;
+
+  const sheet = createSheetWriter(query.format, out, {
+    sheetName: def.segment,
+  });
+  await sheet.writeHeader([...jobColumns, ...resultColumns]);
+
+  let count = 0;
+  for await (const jobs of jobBatches({ ...query, fields: jobColumns })) {
+    if (out.destroyed) return count;
+
+    const results = new Map(
+      (
+        await store.loadSegmentResults(
+          def.resultTable,
+          jobs.map((job) => job.jobId)
+        )
+      ).map((row) => [row.jobId, row])
+    );
+
+    const rows = [];
+    for (const job of jobs) {
+      const result = results.get(job.jobId);
+      if (!result) continue;
+      rows.push([
+        ...jobColumns.map((c) => job[c]),
+        ...resultColumns.map((c) => result[c]),
+      ]);
+    }
+    await sheet.writeRows(rows);
+    count += rows.length;
+  }
+  await sheet.end();
+  return count;
+}
+
+module.exports = {
+  SHEET_FORMATS,
+  parseExportQuery,
+  exportFileName,
+  exportJobs,
+  segmentExportColumns,
+  exportSegmentResults,
+};
@@ -1,11 +1,7 @@
 // jobHelpers.js
 'use strict';
 
-const { BigQuery } = require('@google-cloud/bigquery');
-const bigquery = new BigQuery();
-
-const PROJECT_ID = 'ghs-construction-1734441714520';
-const JOBS_TABLE = `${PROJECT_ID}.Client_audits.client_audits_jobs`;
+const { getJobStore } = require('./jobStore');
 
 /**
  * Safely normalize a BigQuery TIMESTAMP into ISO string for JS.
@@ -27,135 +23,81 @@ function safeStr(v) {
 }
 
 /**
- * Load a single job row from client_audits_jobs by jobId.
+ * Parse the jobs table `services` column (JSON string) into an array.
  */
-async function loadJob(jobId) {
-  console.log('➡️ Load job row from client_audits_jobs');
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        jobId,
-        createdAt,
-        status,
-        businessName,
-        services,
-        location,
-        website,
-        \`1_demographics_Status\` AS demographicsStatus,
-        \`7_organicSearch_Status\` AS organicSearchStatus,
-        \`8_paidAds_Status\` AS paidAdsStatus
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId }
-  });
-
-  console.log(`ℹ️ loadJob result rows: ${rows.length}`);
-  return rows[0];
+function parseServices(servicesField) {
+  if (!servicesField) return [];
+  if (Array.isArray(servicesField)) return servicesField;
+  if (typeof servicesField === 'string') {
+    try {
+      const parsed = JSON.parse(servicesField);
+      if (Array.isArray(parsed)) return parsed;
+      if (parsed) return [String(parsed)];
+    } catch (e) {
+      return [servicesField];
+    }
+  }
+  return [];
 }
 
 /**
- * Update a specific "segment status" column (e.g. 1_demographics_Status).
+ * Per-segment bookkeeping ({ reason, updatedAt, ... }) from a job row.
  */
-async function markSegmentStatus(jobId, statusColumn, newStatus) {
-  console.log(
-    `✅ markSegmentStatus: set ${statusColumn} = '${newStatus}' for job ${jobId}`
-  );
-  await bigquery.query({
-    query: `
-      UPDATE \`${JOBS_TABLE}\`
-      SET \`${statusColumn}\` = @newStatus
-      WHERE jobId = @jobId
-    `,
-    params: { jobId, newStatus }
-  });
+function getSegmentMeta(job, statusColumn) {
+  if (!job || !job.segmentMeta) return {};
+  try {
+    return JSON.parse(job.segmentMeta)[statusColumn] || {};
+  } catch (e) {
+    return {};
+  }
 }
 
 /**
- * Compute and update overall job.status based on all segment statuses:
- *
- * - 'queued'   if ALL segment statuses are 'queued'
- * - 'failed'   if ANY segment status is 'failed'
- * - 'pending'  if ANY segment status is 'pending'
- * - 'completed' ONLY if ALL segment statuses are 'completed'
- * - otherwise  fallback to 'pending' for mixed states
+ * Idempotency guard shared by the segment handlers. A segment runs only
+ * while 'queued' (POST .../retry resets it), and only for an event of its
+ * current attempt, so a stale or redelivered event from before a retry is
+ * ignored. Returns null to run, or why the event is skipped.
  */
-async function updateOverallStatus(jobId) {
-  console.log('➡️ [STATUS] Load job row for overall status update');
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        jobId,
-        status,
-        \`1_demographics_Status\` AS s_demo,
-        \`7_organicSearch_Status\` AS s_org,
-        \`8_paidAds_Status\` AS s_paid
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId }
-  });
-
-  console.log(`ℹ️ [STATUS] loadJob result rows: ${rows.length}`);
-  if (!rows.length) return;
-
-  const job = rows[0];
-
-  const segments = [
-    job.s_demo || 'queued',
-    job.s_org || 'queued',
-    job.s_paid || 'queued'
-  ];
-
-  const allQueued = segments.every(s => s === 'queued');
-  const allCompleted = segments.every(s => s === 'completed');
-  const anyFailed = segments.some(s => s === 'failed');
-  const anyPending = segments.some(s => s === 'pending');
+function segmentSkipReason(job, statusColumn, event = {}) {
+  const status = job[statusColumn];
+  if (status && status !== 'queued') {
+    return `${statusColumn}=${status}, not 'queued'`;
+  }
 
-  let newStatus;
-  if (allQueued) {
-    newStatus = 'queued';
-  } else if (anyFailed) {
-    newStatus = 'failed';
-  } else if (anyPending) {
-    newStatus = 'pending';
-  } else if (allCompleted) {
-    newStatus = 'completed';
-  } else {
-    // Mixed queued/completed etc – treat as in-progress
-    newStatus = 'pending';
+  const attempt = getSegmentMeta(job, statusColumn).attempt || 1;
+  if (event.attempt && event.attempt < attempt) {
+    return `event is for attempt ${event.attempt}, segment is on attempt ${attempt}`;
   }
+  return null;
+}
 
+/**
+ * Load a single job row from client_audits_jobs by jobId.
+ */
+async function loadJob(jobId) {
+  console.log('➡️ Load job row from client_audits_jobs');
+  const job = await getJobStore().loadJob(jobId);
+  console.log(`ℹ️ loadJob found row: ${Boolean(job)}`);
+  return job;
+}
+
+/**
+ * Update a specific "segment status" column (e.g. 1_demographics_Status)
+ * without touching the overall status; see status.js for that.
+ */
+async function markSegmentStatus(jobId, statusColumn, newStatus) {
   console.log(
-    `ℹ️ [STATUS] job ${jobId}: old status=${job.status}, segments=${JSON.stringify(
-      segments
-    )}, new status=${newStatus}`
+    `✅ markSegmentStatus: set ${statusColumn} = '${newStatus}' for job ${jobId}`
   );
-
-  if (newStatus !== job.status) {
-    await bigquery.query({
-      query: `
-        UPDATE \`${JOBS_TABLE}\`
-        SET status = @newStatus
-        WHERE jobId = @jobId
-      `,
-      params: { jobId, newStatus }
-    });
-    console.log(
-      `✅ [STATUS] Updated overall status for job ${jobId} → ${newStatus}`
-    );
-  }
+  await getJobStore().markSegmentStatus(jobId, statusColumn, newStatus);
 }
 
 module.exports = {
-  bigquery,
-  PROJECT_ID,
-  JOBS_TABLE,
   bqTimestampToIso,
   safeStr,
+  parseServices,
+  getSegmentMeta,
+  segmentSkipReason,
   loadJob,
-  markSegmentStatus,
-  updateOverallStatus
+  markSegmentStatus
 };
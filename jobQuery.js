@@ -0,0 +1,289 @@
+// jobQuery.js
+'use strict';
+
+const { SEGMENT_STATUS_COLUMNS } = require('./status');
+const { normalizeLocation } = require('./jobRequest');
+
+/**
+ * Parsing of the GET /jobs query string.
+ *
+ * parseJobListQuery(query) -> { errors: [{ field, message }], value }
+ *
+ *   limit=50                      page size (1–200)
+ *   cursor=...                    nextCursor of the previous page
+ *   status=failed,pending         overall status
+ *   7_organicSearch_Status=failed any segment status column, same syntax
+ *   q=acme                        substring of businessName or email
+ *   createdFrom=2026-01-01        createdAt >= (inclusive)
+ *   createdTo=2026-02-01          createdAt <  (exclusive)
+ *   location=Austin, TX           exact, normalized like POST /jobs
+ *   sort=-createdAt               column, "-" for descending
+ *   fields=jobId,status           projection (jobId is always included)
+ *
+ * `value` is what store.listJobs takes (plus the caller's workspaceId).
+ * Pages are keyset-based: the cursor holds the last row's sort value and
+ * jobId, so pages stay stable while new jobs come in.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_SORT = '-createdAt';
+
+const JOB_COLUMNS = [
+  'jobId',
+  'workspaceId',
+  'createdAt',
+  'status',
+  'businessName',
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'website',
+  'services',
+  'revenue',
+  'budget',
+  'location',
+  ...SEGMENT_STATUS_COLUMNS,
+  'segmentMeta',
+];
+
+// Sortable columns and their BigQuery type (for the cursor parameter)
+const SORT_COLUMNS = {
+  createdAt: 'TIMESTAMP',
+  businessName: 'STRING',
+  email: 'STRING',
+  location: 'STRING',
+  status: 'STRING',
+};
+
+const STATUS_VALUES = [
+  'queued',
+  'pending',
+  'completed',
+  'failed',
+  'skipped',
+  'not_applicable',
+  'not_requested',
+];
+
+function parseList(raw) {
+  return String(raw)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function parseStatuses(raw, field, errors) {
+  const statuses = parseList(raw);
+  const unknown = statuses.filter((s) => !STATUS_VALUES.includes(s));
+  if (!statuses.length || unknown.length) {
+    errors.push({
+      field,
+      message: `must be a comma-separated list of ${STATUS_VALUES.join(', ')}`,
+    });
+    return null;
+  }
+  return statuses;
+}
+
+function parseDate(raw, field, errors) {
+  const date = new Date(String(raw));
+  if (Number.isNaN(date.getTime())) {
+    errors.push({ field, message: 'must be an ISO date or timestamp' });
+    return null;
+  }
+  return date.toISOString();
+}
+
+/**
+ * Keyset position of `row` for store.listJobs' `after`. A missing sort
+ * value is null: nulls sort first (so last when descending).
+ */
+function keysetAfter(sort, row) {
+  const value = row[sort.column] ?? null;
+  return {
+    value: value && value.value !== undefined ? value.value : value,
+    jobId: row.jobId,
+  };
+}
+
+// A null sort value is flagged with n: 1 rather than left out of v
+function encodeCursor(sort, row) {
+  const { value, jobId } = keysetAfter(sort, row);
+  return Buffer.from(
+    JSON.stringify({
+      s: `${sort.descending ? '-' : ''}${sort.column}`,
+      ...(value === null ? { n: 1 } : { v: value }),
+      id: jobId,
+    })
+  ).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(raw), 'base64url'));
+    if (
+      cursor &&
+      typeof cursor.s === 'string' &&
+      cursor.id &&
+      (cursor.n === 1 || cursor.v != null)
+    ) {
+      return cursor;
+    }
+  } catch (e) {
+    // fall through
+  }
+  return null;
+}
+
+function parseJobListQuery(query = {}) {
+  const errors = [];
+  const value = {
+    filters: {},
+    sort: null,
+    after: null,
+    limit: DEFAULT_LIMIT,
+    fields: null,
+  };
+
+  const known = new Set([
+    'limit',
+    'cursor',
+    'status',
+    'q',
+    'createdFrom',
+    'createdTo',
+    'location',
+    'sort',
+    'fields',
+    'workspaceId',
+    ...SEGMENT_STATUS_COLUMNS,
+  ]);
+  for (const key of Object.keys(query)) {
+    if (!known.has(key)) {
+      errors.push({ field: key, message: 'is not a known query parameter' });
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({
+        field: 'limit',
+        message: `must be an integer from 1 to ${MAX_LIMIT}`,
+      });
+    } else {
+      value.limit = limit;
+    }
+  }
+
+  const { filters } = value;
+  if (query.status !== undefined) {
+    filters.status = parseStatuses(query.status, 'status', errors);
+  }
+  for (const column of SEGMENT_STATUS_COLUMNS) {
+    if (query[column] === undefined) continue;
+    filters.segmentStatus = filters.segmentStatus || {};
+    filters.segmentStatus[column] = parseStatuses(
+      query[column],
+      column,
+      errors
+    );
+  }
+  if (query.q !== undefined) {
+    const q = String(query.q).trim();
+    if (!q || q.length > 200) {
+      errors.push({ field: 'q', message: 'must be 1-200 characters' });
+    } else {
+      filters.q = q;
+    }
+  }
+  if (query.createdFrom !== undefined) {
+    filters.createdFrom = parseDate(query.createdFrom, 'createdFrom', errors);
+  }
+  if (query.createdTo !== undefined) {
+    filters.createdTo = parseDate(query.createdTo, 'createdTo', errors);
+  }
+  if (query.location !== undefined) {
+    try {
+      filters.location = normalizeLocation(String(query.location));
+    } catch (err) {
+      errors.push({ field: 'location', message: err.message });
+    }
+  }
+
+  const sortParam =
+    query.sort === undefined ? DEFAULT_SORT : String(query.sort);
+  const column = sortParam.replace(/^-/, '');
+  if (!SORT_COLUMNS[column]) {
+    errors.push({
+      field: 'sort',
+      message: `must be one of ${Object.keys(SORT_COLUMNS).join(
+        ', '
+      )}, optionally prefixed with "-"`,
+    });
+  } else {
+    value.sort = {
+      column,
+      type: SORT_COLUMNS[column],
+      descending: sortParam.startsWith('-'),
+    };
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+    } else if (cursor.s !== sortParam) {
+      errors.push({
+        field: 'cursor',
+        message: `was issued for sort=${cursor.s}, not sort=${sortParam}`,
+      });
+    } else {
+      value.after = { value: cursor.n ? null : cursor.v, jobId: cursor.id };
+    }
+  }
+
+  if (query.fields !== undefined) {
+    const fields = parseList(query.fields);
+    const unknown = fields.filter((f) => !JOB_COLUMNS.includes(f));
+    if (!fields.length || unknown.length) {
+      errors.push({
+        field: 'fields',
+        message: unknown.length
+          ? `has unknown fields: ${unknown.join(', ')}`
+          : 'must list at least one field',
+      });
+    } else {
+      // jobId is always needed for the cursor; the store adds the sort column
+      value.fields = [...new Set(['jobId', ...fields])];
+    }
+  }
+
+  return { errors, value };
+}
+
+/**
+ * Response envelope for a page fetched with `limit + 1` rows.
+ */
+function jobListPage(rows, { limit, sort, fields }) {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    data: fields
+      ? page.map((row) =>
+          Object.fromEntries(fields.map((f) => [f, row[f] ?? null]))
+        )
+      : page,
+    nextCursor: rows.length > limit ? encodeCursor(sort, last) : null,
+    limit,
+  };
+}
+
+module.exports = {
+  JOB_COLUMNS,
+  parseJobListQuery,
+  keysetAfter,
+  jobListPage,
+};
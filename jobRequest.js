@@ -0,0 +1,353 @@
+// jobRequest.js
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Validation + normalization of the POST /jobs body.
+ *
+ * validateJobRequest(body) -> { errors: [{ field, message }], value }
+ *
+ * `value` is only meaningful when `errors` is empty and holds the normalized
+ * request: phone in E.164, website as a canonical https?:// URL, email
+ * lowercased, location as "City, ST" (the format the reference tables use).
+ */
+
+// 🔧 country calling code assumed for phone numbers written without one
+const DEFAULT_PHONE_COUNTRY_CODE =
+  process.env.DEFAULT_PHONE_COUNTRY_CODE || '1';
+
+const MAX_SERVICES = 20;
+const MAX_TEXT_LENGTH = 200;
+
+const US_STATES = {
+  AL: 'alabama',
+  AK: 'alaska',
+  AZ: 'arizona',
+  AR: 'arkansas',
+  CA: 'california',
+  CO: 'colorado',
+  CT: 'connecticut',
+  DE: 'delaware',
+  DC: 'district of columbia',
+  FL: 'florida',
+  GA: 'georgia',
+  HI: 'hawaii',
+  ID: 'idaho',
+  IL: 'illinois',
+  IN: 'indiana',
+  IA: 'iowa',
+  KS: 'kansas',
+  KY: 'kentucky',
+  LA: 'louisiana',
+  ME: 'maine',
+  MD: 'maryland',
+  MA: 'massachusetts',
+  MI: 'michigan',
+  MN: 'minnesota',
+  MS: 'mississippi',
+  MO: 'missouri',
+  MT: 'montana',
+  NE: 'nebraska',
+  NV: 'nevada',
+  NH: 'new hampshire',
+  NJ: 'new jersey',
+  NM: 'new mexico',
+  NY: 'new york',
+  NC: 'north carolina',
+  ND: 'north dakota',
+  OH: 'ohio',
+  OK: 'oklahoma',
+  OR: 'oregon',
+  PA: 'pennsylvania',
+  RI: 'rhode island',
+  SC: 'south carolina',
+  SD: 'south dakota',
+  TN: 'tennessee',
+  TX: 'texas',
+  UT: 'utah',
+  VT: 'vermont',
+  VA: 'virginia',
+  WA: 'washington',
+  WV: 'west virginia',
+  WI: 'wisconsin',
+  WY: 'wyoming',
+};
+
+const EMAIL_RE =
+  /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+// Thrown by the normalizers below; turned into { field, message } errors
+class FieldError extends Error {}
+
+function isBlank(v) {
+  return v === undefined || v === null || (typeof v === 'string' && !v.trim());
+}
+
+function normalizeText(v) {
+  if (typeof v !== 'string') throw new FieldError('must be a string');
+  const text = v.trim().replace(/\s+/g, ' ');
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new FieldError(`must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text;
+}
+
+function normalizeEmail(v) {
+  const email = normalizeText(v).toLowerCase();
+  if (!EMAIL_RE.test(email)) throw new FieldError('is not a valid email');
+  return email;
+}
+
+/**
+ * "(512) 555-0100" -> "+15125550100"; "+44 20 7946 0958" -> "+442079460958"
+ */
+function normalizePhone(v) {
+  if (typeof v !== 'string' && typeof v !== 'number') {
+    throw new FieldError('must be a string');
+  }
+  const raw = String(v).trim();
+  let digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    // already international
+  } else if (raw.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (
+    DEFAULT_PHONE_COUNTRY_CODE === '1' &&
+    digits.length === 11 &&
+    digits.startsWith('1')
+  ) {
+    // US/Canada number written with its leading 1
+  } else {
+    digits = `${DEFAULT_PHONE_COUNTRY_CODE}${digits}`;
+  }
+
+  if (!/^[1-9]\d{7,14}$/.test(digits)) {
+    throw new FieldError('is not a valid phone number');
+  }
+  if (digits.startsWith('1') && digits.length !== 11) {
+    throw new FieldError('is not a valid US/Canada phone number');
+  }
+  return `+${digits}`;
+}
+
+/**
+ * "WWW.Acme.com/roofing/" -> "https://www.acme.com/roofing"
+ */
+function normalizeWebsite(v) {
+  const raw = normalizeText(v);
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw)
+    ? raw
+    : `https://${raw}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (e) {
+    throw new FieldError('is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new FieldError('must be an http(s) URL');
+  }
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(url.hostname)) {
+    throw new FieldError('must have a valid host name');
+  }
+
+  const path = url.pathname.replace(/\/+$/, '');
+  return `${url.protocol}//${url.host}${path}${url.search}`;
+}
+
+function normalizeAmount(v) {
+  const n =
+    typeof v === 'string' ? Number(v.replace(/[$,\s]/g, '')) : Number(v);
+  if (typeof v === 'boolean' || !Number.isFinite(n)) {
+    throw new FieldError('must be a number');
+  }
+  if (n < 0) throw new FieldError('must be >= 0');
+  return Math.round(n * 100) / 100;
+}
+
+function normalizeServices(v) {
+  if (!Array.isArray(v)) throw new FieldError('must be an array of strings');
+
+  const seen = new Set();
+  const services = [];
+  for (const item of v) {
+    if (typeof item !== 'string' || !item.trim()) {
+      throw new FieldError('must only contain non-empty strings');
+    }
+    const service = normalizeText(item);
+    if (seen.has(service.toLowerCase())) continue;
+    seen.add(service.toLowerCase());
+    services.push(service);
+  }
+
+  if (!services.length) throw new FieldError('must list at least one service');
+  if (services.length > MAX_SERVICES) {
+    throw new FieldError(`must list at most ${MAX_SERVICES} services`);
+  }
+  return services;
+}
+
+/**
+ * Split "City, State" / "City ST" / "City State Name" into its two parts.
+ */
+function splitCityState(text) {
+  const comma = text.lastIndexOf(',');
+  if (comma !== -1) {
+    return [text.slice(0, comma), text.slice(comma + 1)];
+  }
+
+  const lower = text.toLowerCase();
+  const stateName = Object.values(US_STATES)
+    .sort((a, b) => b.length - a.length)
+    .find((name) => lower.endsWith(` ${name}`));
+  if (stateName) {
+    return [text.slice(0, -stateName.length), text.slice(-stateName.length)];
+  }
+  if (/\s[a-z]{2}$/i.test(text)) return [text.slice(0, -2), text.slice(-2)];
+  return [text, ''];
+}
+
+/**
+ * "Austin tx", "Austin, Texas", "Austin,TX" -> "Austin, TX"
+ *
+ * The city keeps the casing it was sent with ("McAllen", "DeKalb"): reference
+ * lookups and the GET /jobs filter match locations exactly.
+ */
+function normalizeLocation(v) {
+  const text = normalizeText(v).replace(
+    /(,|\s)\s*(usa|us|united states)$/i,
+    ''
+  );
+  const [cityText, stateText] = splitCityState(text);
+  const city = cityText.trim();
+  if (!city || !stateText.trim()) {
+    throw new FieldError('must look like "City, ST"');
+  }
+
+  const stateKey = stateText.replace(/\./g, '').trim().toLowerCase();
+  const state = Object.keys(US_STATES).find(
+    (abbr) => abbr.toLowerCase() === stateKey || US_STATES[abbr] === stateKey
+  );
+  if (!state)
+    throw new FieldError(`has an unknown state "${stateText.trim()}"`);
+  if (!/^[\p{L} .'-]+$/u.test(city)) {
+    throw new FieldError(`has an invalid city "${city}"`);
+  }
+
+  return `${city}, ${state}`;
+}
+
+/**
+ * Field schema: where each value lives in the body, whether it is required
+ * and how it is normalized.
+ */
+const JOB_REQUEST_SCHEMA = [
+  { field: 'user.firstName', normalize: normalizeText },
+  { field: 'user.lastName', normalize: normalizeText },
+  { field: 'user.email', normalize: normalizeEmail },
+  { field: 'user.phone', normalize: normalizePhone },
+  { field: 'business.name', normalize: normalizeText },
+  { field: 'business.website', normalize: normalizeWebsite },
+  { field: 'revenue', normalize: normalizeAmount },
+  { field: 'budget', normalize: normalizeAmount },
+  { field: 'services', required: true, normalize: normalizeServices },
+  { field: 'location', required: true, normalize: normalizeLocation },
+  // resolved against the stage registry by POST /jobs
+  { field: 'segments', normalize: (v) => v },
+  // owning workspace, only settable with an admin key; checked by POST /jobs
+  { field: 'workspaceId', normalize: (v) => v },
+];
+
+const OBJECT_FIELDS = ['user', 'business'];
+
+function validateJobRequest(body) {
+  const errors = [];
+  const value = { user: {}, business: {} };
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      errors: [{ field: 'body', message: 'must be a JSON object' }],
+      value,
+    };
+  }
+
+  // Strict: unknown fields are rejected rather than silently dropped
+  const known = new Set(JOB_REQUEST_SCHEMA.map((s) => s.field));
+  const check = (obj, prefix) => {
+    for (const key of Object.keys(obj)) {
+      const field = prefix ? `${prefix}.${key}` : key;
+      if (!prefix && OBJECT_FIELDS.includes(key)) continue;
+      if (!known.has(field)) {
+        errors.push({ field, message: 'is not a known field' });
+      }
+    }
+  };
+  check(body, '');
+  for (const key of OBJECT_FIELDS) {
+    if (isBlank(body[key])) continue;
+    if (typeof body[key] !== 'object' || Array.isArray(body[key])) {
+      errors.push({ field: key, message: 'must be an object' });
+    } else {
+      check(body[key], key);
+    }
+  }
+
+  for (const { field, required, normalize } of JOB_REQUEST_SCHEMA) {
+    const [outer, inner] = field.split('.');
+    const container = inner ? body[outer] : body;
+    const raw =
+      container && typeof container === 'object'
+        ? container[inner || outer]
+        : undefined;
+
+    let normalized = null;
+    if (isBlank(raw)) {
+      if (required) errors.push({ field, message: 'is required' });
+    } else {
+      try {
+        normalized = normalize(raw);
+      } catch (err) {
+        if (!(err instanceof FieldError)) throw err;
+        errors.push({ field, message: err.message });
+      }
+    }
+
+    if (inner) value[outer][inner] = normalized;
+    else value[outer] = normalized;
+  }
+
+  return { errors, value };
+}
+
+/**
+ * Stable hash of a normalized request (key order doesn't matter), used to
+ * tell an idempotent retry from a different request under the same key.
+ */
+function fingerprintJobRequest(value) {
+  const canonical = (v) => {
+    if (Array.isArray(v)) return v.map(canonical);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(
+        Object.keys(v)
+          .sort()
+          .map((k) => [k, canonical(v[k])])
+      );
+    }
+    return v;
+  };
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonical(value)))
+    .digest('hex');
+}
+
+module.exports = {
+  validateJobRequest,
+  fingerprintJobRequest,
+  normalizePhone,
+  normalizeWebsite,
+  normalizeLocation,
+};
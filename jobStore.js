@@ -0,0 +1,850 @@
+// jobStore.js
+'use strict';
+
+const fs = require('fs');
+const {
+  PROJECT_ID,
+  DATASET_ID,
+  DATA_DATASET_ID,
+  JOBS_TABLE_ID,
+  IDEMPOTENCY_TABLE_ID,
+  API_KEYS_TABLE_ID,
+  JOB_STORE,
+  LOCAL_REFERENCE_DATA_FILE,
+} = require('./config');
+
+/**
+ * JobStore = the only place that knows where jobs and segment results live.
+ *
+ * Every backend implements:
+ *   loadJob(jobId)                                 -> row | null
+ *   insertJob(row)
+ *   markSegmentStatus(jobId, statusColumn, status, meta?)
+ *   claimSegmentPublish(jobId, statusColumn)       -> true if this call claimed it
+ *   updateJobStatus(jobId, status)
+ *   upsertSegmentResult(table, jobId, fields, types?)
+ *   loadSegmentResult(table, jobId)                -> row | null
+ *   loadSegmentResults(table, jobIds)              -> rows (any order)
+ *   listSegmentResultColumns(table)                -> column names, table order
+ *   listJobs(query?)                               -> rows, newest first by default
+ *   listActiveJobs()                               -> 'queued'/'pending' rows
+ *   deleteJob(jobId)
+ *   queryReference(table, where, { limit }?)       -> rows from Client_audits_data
+ *   claimIdempotencyKey(key, { requestHash, jobId, expiresAt })
+ *                                                  -> the key's live record
+ *   releaseIdempotencyKey(key, jobId)
+ *   insertApiKey(row)
+ *   findApiKey(keyHash)                            -> unrevoked row | null
+ *   listApiKeys({ workspaceId }?)                  -> rows, newest first
+ *   revokeApiKey(keyId)                            -> true if it was live
+ *
+ * Rows use the real column names (e.g. '1_demographics_Status').
+ *
+ * segmentMeta (STRING column, JSON) keeps per-segment bookkeeping next to the
+ * status columns: { "<statusColumn>": { reason, updatedAt, ... } }.
+ * markSegmentStatus always refreshes updatedAt and reason (null clears it).
+ * claimSegmentPublish sets publishedAt on a still-queued segment exactly once,
+ * so a dependent stage is published only once even when its dependencies
+ * finish at the same time.
+ *
+ * claimIdempotencyKey stores { requestHash, jobId } under a POST /jobs
+ * Idempotency-Key unless a live (unexpired) record already exists, and
+ * returns whichever record is live: the caller owns the key when the
+ * returned jobId is its own.
+ *
+ * listJobs takes { workspaceId, filters, sort, after, limit, fields } as
+ * parsed by jobQuery.js; `after` is the keyset cursor ({ value, jobId } of
+ * the previous page's last row in sort order). Null sort values sort first
+ * (last when descending) and are their own keyset position, value null.
+ * `fields` limits the columns returned (plus the sort column).
+ *
+ * listSegmentResultColumns follows the result table's schema in BigQuery;
+ * the memory store has no schema and lists columns in first-written order.
+ *
+ * Jobs belong to a workspace (workspaceId column); API keys (see apiKeys.js)
+ * are stored by the sha256 of the key, never the key itself.
+ *
+ * schema.sql has the BigQuery DDL for segmentMeta, workspaceId and the
+ * API key and idempotency tables.
+ */
+
+// Column names are interpolated into SQL, so only allow plain identifiers.
+function assertIdentifier(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_]+$/.test(name)) {
+    throw new Error(`Invalid column/table name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * BigQuery params need an explicit type when the value is null.
+ */
+function typesForNulls(values, nullTypes = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null || value === undefined) {
+      out[key] = nullTypes[key] || 'STRING';
+    }
+  }
+  return out;
+}
+
+// Non-STRING columns of client_audits_jobs (only matters for null values)
+const JOB_NULL_TYPES = {
+  createdAt: 'TIMESTAMP',
+  revenue: 'NUMERIC',
+  budget: 'NUMERIC',
+};
+
+const DEFAULT_JOB_SORT = {
+  column: 'createdAt',
+  type: 'TIMESTAMP',
+  descending: true,
+};
+
+/**
+ * Meta stored alongside a segment status change.
+ */
+function segmentMetaFor(meta = {}) {
+  return {
+    ...meta,
+    reason: meta.reason || null,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// ---------- BigQuery backend ----------
+
+function createBigQueryJobStore() {
+  const { BigQuery } = require('@google-cloud/bigquery');
+  const bigquery = new BigQuery({ projectId: PROJECT_ID });
+
+  const JOBS_TABLE = `${PROJECT_ID}.${DATASET_ID}.${JOBS_TABLE_ID}`;
+  const tableRef = (table) =>
+    `${PROJECT_ID}.${DATASET_ID}.${assertIdentifier(table)}`;
+  const referenceRef = (table) =>
+    `${PROJECT_ID}.${DATA_DATASET_ID}.${assertIdentifier(table)}`;
+  const IDEMPOTENCY_TABLE = `${PROJECT_ID}.${DATASET_ID}.${IDEMPOTENCY_TABLE_ID}`;
+  const API_KEYS_TABLE = `${PROJECT_ID}.${DATASET_ID}.${API_KEYS_TABLE_ID}`;
+
+  async function loadJob(jobId) {
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${JOBS_TABLE}\`
+        WHERE jobId = @jobId
+        LIMIT 1
+      `,
+      params: { jobId },
+    });
+    return rows[0] || null;
+  }
+
+  async function insertJob(row) {
+    const columns = Object.keys(row).map(assertIdentifier);
+    const params = {};
+    const nullTypes = {};
+    columns.forEach((col, i) => {
+      params[`p${i}`] = row[col] === undefined ? null : row[col];
+      if (JOB_NULL_TYPES[col]) nullTypes[`p${i}`] = JOB_NULL_TYPES[col];
+    });
+
+    await bigquery.query({
+      query: `
+        INSERT \`${JOBS_TABLE}\`
+          (${columns.map((c) => `\`${c}\``).join(', ')})
+        VALUES
+          (${columns.map((_, i) => `@p${i}`).join(', ')})
+      `,
+      params,
+      types: typesForNulls(params, nullTypes),
+    });
+  }
+
+  async function markSegmentStatus(jobId, statusColumn, newStatus, meta) {
+    assertIdentifier(statusColumn);
+    const entries = Object.entries(segmentMetaFor(meta));
+
+    const params = { jobId, newStatus };
+    const paths = entries.map(([key, value], i) => {
+      params[`m${i}`] = value;
+      return `'$."${statusColumn}".${assertIdentifier(key)}', @m${i}`;
+    });
+
+    await bigquery.query({
+      query: `
+        UPDATE \`${JOBS_TABLE}\`
+        SET
+          \`${statusColumn}\` = @newStatus,
+          segmentMeta = TO_JSON_STRING(JSON_SET(
+            COALESCE(SAFE.PARSE_JSON(segmentMeta), JSON '{}'),
+            ${paths.join(',\n            ')}
+          ))
+        WHERE jobId = @jobId
+      `,
+      params,
+      types: typesForNulls(params),
+    });
+  }
+
+  async function claimSegmentPublish(jobId, statusColumn) {
+    assertIdentifier(statusColumn);
+    const [job] = await bigquery.createQueryJob({
+      query: `
+        UPDATE \`${JOBS_TABLE}\`
+        SET segmentMeta = TO_JSON_STRING(JSON_SET(
+          COALESCE(SAFE.PARSE_JSON(segmentMeta), JSON '{}'),
+          '$."${statusColumn}".publishedAt', @publishedAt
+        ))
+        WHERE jobId = @jobId
+          AND COALESCE(\`${statusColumn}\`, 'queued') = 'queued'
+          AND JSON_VALUE(
+            SAFE.PARSE_JSON(segmentMeta), '$."${statusColumn}".publishedAt'
+          ) IS NULL
+      `,
+      params: { jobId, publishedAt: new Date().toISOString() },
+    });
+    await job.getQueryResults();
+    const [metadata] = await job.getMetadata();
+    return Number(metadata.statistics.query.numDmlAffectedRows) > 0;
+  }
+
+  async function updateJobStatus(jobId, newStatus) {
+    await bigquery.query({
+      query: `
+        UPDATE \`${JOBS_TABLE}\`
+        SET status = @newStatus
+        WHERE jobId = @jobId
+      `,
+      params: { jobId, newStatus },
+    });
+  }
+
+  /**
+   * MERGE one row (matched on jobId) into a per-segment result table.
+   * `types` maps field name -> BigQuery type (e.g. { date: 'TIMESTAMP' }).
+   */
+  async function upsertSegmentResult(table, jobId, fields, types = {}) {
+    const columns = Object.keys(fields)
+      .filter((c) => c !== 'jobId')
+      .map(assertIdentifier);
+
+    const params = { jobId };
+    const paramTypes = { jobId: 'STRING' };
+    columns.forEach((col, i) => {
+      const value = fields[col] === undefined ? null : fields[col];
+      params[`p${i}`] = value;
+      if (types[col]) paramTypes[`p${i}`] = types[col];
+      else if (value === null) paramTypes[`p${i}`] = 'STRING';
+    });
+
+    const select = columns.map((c, i) => `@p${i} AS \`${c}\``);
+    const update = columns.map((c) => `T.\`${c}\` = S.\`${c}\``);
+
+    await bigquery.query({
+      query: `
+        MERGE \`${tableRef(table)}\` T
+        USING (
+          SELECT
+            @jobId AS jobId${select.length ? ',' : ''}
+            ${select.join(',\n            ')}
+        ) S
+        ON T.jobId = S.jobId
+        ${update.length ? `WHEN MATCHED THEN UPDATE SET ${update.join(', ')}` : ''}
+        WHEN NOT MATCHED THEN
+          INSERT (jobId${columns.map((c) => `, \`${c}\``).join('')})
+          VALUES (S.jobId${columns.map((c) => `, S.\`${c}\``).join('')})
+      `,
+      params,
+      types: paramTypes,
+    });
+  }
+
+  async function loadSegmentResult(table, jobId) {
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${tableRef(table)}\`
+        WHERE jobId = @jobId
+        LIMIT 1
+      `,
+      params: { jobId },
+    });
+    return rows[0] || null;
+  }
+
+  async function loadSegmentResults(table, jobIds) {
+    if (!jobIds.length) return [];
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${tableRef(table)}\`
+        WHERE jobId IN UNNEST(@jobIds)
+      `,
+      params: { jobIds },
+      types: { jobIds: ['STRING'] },
+    });
+    return rows;
+  }
+
+  async function listSegmentResultColumns(table) {
+    const [metadata] = await bigquery
+      .dataset(DATASET_ID)
+      .table(assertIdentifier(table))
+      .getMetadata();
+    return metadata.schema.fields.map((f) => f.name);
+  }
+
+  async function listJobs({
+    workspaceId,
+    filters = {},
+    sort = DEFAULT_JOB_SORT,
+    after = null,
+    limit = null,
+    fields = null,
+  } = {}) {
+    const params = {};
+    const types = {};
+    const where = [];
+
+    if (workspaceId) {
+      where.push('workspaceId = @workspaceId');
+      params.workspaceId = workspaceId;
+    }
+    if (filters.status) {
+      where.push('status IN UNNEST(@status)');
+      params.status = filters.status;
+    }
+    Object.entries(filters.segmentStatus || {}).forEach(
+      ([column, statuses], i) => {
+        where.push(
+          `COALESCE(\`${assertIdentifier(column)}\`, 'queued') IN UNNEST(@seg${i})`
+        );
+        params[`seg${i}`] = statuses;
+      }
+    );
+    if (filters.q) {
+      where.push('(LOWER(businessName) LIKE @q OR LOWER(email) LIKE @q)');
+      params.q = `%${filters.q.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (filters.createdFrom) {
+      where.push('createdAt >= @createdFrom');
+      params.createdFrom = filters.createdFrom;
+      types.createdFrom = 'TIMESTAMP';
+    }
+    if (filters.createdTo) {
+      where.push('createdAt < @createdTo');
+      params.createdTo = filters.createdTo;
+      types.createdTo = 'TIMESTAMP';
+    }
+    if (filters.location) {
+      where.push('location = @location');
+      params.location = filters.location;
+    }
+
+    // Keyset pagination on (sort column, jobId). BigQuery puts NULLs first
+    // ascending and last descending, so rows past a null position are the
+    // nulls with a later jobId (plus every non-null ascending), and rows past
+    // a value include all nulls descending.
+    const column = assertIdentifier(sort.column);
+    const sortExpr = `\`${column}\``;
+    const direction = sort.descending ? 'DESC' : 'ASC';
+    const beyond = sort.descending ? '<' : '>';
+    if (after) {
+      const conditions = [];
+      if (after.value === null) {
+        conditions.push(
+          `(${sortExpr} IS NULL AND jobId ${beyond} @afterJobId)`
+        );
+        if (!sort.descending) conditions.push(`${sortExpr} IS NOT NULL`);
+      } else {
+        conditions.push(
+          `${sortExpr} ${beyond} @afterValue`,
+          `(${sortExpr} = @afterValue AND jobId ${beyond} @afterJobId)`
+        );
+        if (sort.descending) conditions.push(`${sortExpr} IS NULL`);
+        params.afterValue = after.value;
+        types.afterValue = sort.type;
+      }
+      where.push(`(${conditions.join(' OR ')})`);
+      params.afterJobId = after.jobId;
+    }
+
+    const columns = fields
+      ? [...new Set([...fields, column])]
+          .map((c) => `\`${assertIdentifier(c)}\``)
+          .join(', ')
+      : '*';
+
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT ${columns}
+        FROM \`${JOBS_TABLE}\`
+        ${where.length ? `WHERE ${where.join('\n          AND ')}` : ''}
+        ORDER BY ${sortExpr} ${direction}, jobId ${direction}
+        ${limit ? `LIMIT ${Number(limit)}` : ''}
+      `,
+      params,
+      types,
+    });
+    return rows;
+  }
+
+  async function listActiveJobs() {
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${JOBS_TABLE}\`
+        WHERE status IN ('queued', 'pending')
+      `,
+    });
+    return rows;
+  }
+
+  async function deleteJob(jobId) {
+    await bigquery.query({
+      query: `
+        DELETE FROM \`${JOBS_TABLE}\`
+        WHERE jobId = @jobId
+      `,
+      params: { jobId },
+    });
+  }
+
+  /**
+   * Lookup against a reference table in Client_audits_data. Each `where`
+   * value is matched by equality, or with IN when it is an array.
+   */
+  async function queryReference(table, where = {}, { limit } = {}) {
+    const keys = Object.keys(where).map(assertIdentifier);
+    const params = {};
+    const conditions = keys.map((k, i) => {
+      params[`w${i}`] = where[k];
+      return Array.isArray(where[k])
+        ? `\`${k}\` IN UNNEST(@w${i})`
+        : `\`${k}\` = @w${i}`;
+    });
+
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${referenceRef(table)}\`
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ${limit ? `LIMIT ${Number(limit)}` : ''}
+      `,
+      params,
+      types: typesForNulls(params),
+    });
+    return rows;
+  }
+
+  async function claimIdempotencyKey(key, { requestHash, jobId, expiresAt }) {
+    const params = { key, requestHash, jobId, expiresAt };
+    const types = { expiresAt: 'TIMESTAMP' };
+
+    await bigquery.query({
+      query: `
+        MERGE \`${IDEMPOTENCY_TABLE}\` T
+        USING (SELECT @key AS idempotencyKey) S
+        ON T.idempotencyKey = S.idempotencyKey
+        WHEN MATCHED AND T.expiresAt <= CURRENT_TIMESTAMP() THEN
+          UPDATE SET
+            requestHash = @requestHash,
+            jobId = @jobId,
+            createdAt = CURRENT_TIMESTAMP(),
+            expiresAt = @expiresAt
+        WHEN NOT MATCHED THEN
+          INSERT (idempotencyKey, requestHash, jobId, createdAt, expiresAt)
+          VALUES (@key, @requestHash, @jobId, CURRENT_TIMESTAMP(), @expiresAt)
+      `,
+      params,
+      types,
+    });
+
+    // Two racing MERGEs can both insert; the oldest record wins.
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${IDEMPOTENCY_TABLE}\`
+        WHERE idempotencyKey = @key
+          AND expiresAt > CURRENT_TIMESTAMP()
+        ORDER BY createdAt, jobId
+        LIMIT 1
+      `,
+      params: { key },
+    });
+    return rows[0] || null;
+  }
+
+  async function releaseIdempotencyKey(key, jobId) {
+    await bigquery.query({
+      query: `
+        DELETE FROM \`${IDEMPOTENCY_TABLE}\`
+        WHERE idempotencyKey = @key AND jobId = @jobId
+      `,
+      params: { key, jobId },
+    });
+  }
+
+  async function insertApiKey(row) {
+    await bigquery.query({
+      query: `
+        INSERT \`${API_KEYS_TABLE}\`
+          (keyId, keyHash, workspaceId, role, name, createdAt)
+        VALUES
+          (@keyId, @keyHash, @workspaceId, @role, @name, @createdAt)
+      `,
+      params: { name: null, ...row },
+      types: { createdAt: 'TIMESTAMP', name: 'STRING' },
+    });
+  }
+
+  async function findApiKey(keyHash) {
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${API_KEYS_TABLE}\`
+        WHERE keyHash = @keyHash AND revokedAt IS NULL
+        LIMIT 1
+      `,
+      params: { keyHash },
+    });
+    return rows[0] || null;
+  }
+
+  async function listApiKeys({ workspaceId } = {}) {
+    const [rows] = await bigquery.query({
+      query: `
+        SELECT *
+        FROM \`${API_KEYS_TABLE}\`
+        ${workspaceId ? 'WHERE workspaceId = @workspaceId' : ''}
+        ORDER BY createdAt DESC
+      `,
+      params: workspaceId ? { workspaceId } : {},
+    });
+    return rows;
+  }
+
+  async function revokeApiKey(keyId) {
+    const [job] = await bigquery.createQueryJob({
+      query: `
+        UPDATE \`${API_KEYS_TABLE}\`
+        SET revokedAt = CURRENT_TIMESTAMP()
+        WHERE keyId = @keyId AND revokedAt IS NULL
+      `,
+      params: { keyId },
+    });
+    await job.getQueryResults();
+    const [metadata] = await job.getMetadata();
+    return Number(metadata.statistics.query.numDmlAffectedRows) > 0;
+  }
+
+  return {
+    type: 'bigquery',
+    loadJob,
+    insertJob,
+    markSegmentStatus,
+    claimSegmentPublish,
+    updateJobStatus,
+    upsertSegmentResult,
+    loadSegmentResult,
+    loadSegmentResults,
+    listSegmentResultColumns,
+    listJobs,
+    listActiveJobs,
+    deleteJob,
+    queryReference,
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    insertApiKey,
+    findApiKey,
+    listApiKeys,
+    revokeApiKey,
+  };
+}
+
+// ---------- In-memory backend (local dev / tests) ----------
+
+function createMemoryJobStore({ referenceData } = {}) {
+  const jobs = new Map();
+  const results = new Map(); // table -> Map(jobId -> row)
+  const idempotencyKeys = new Map(); // key -> record
+  const apiKeys = new Map(); // keyId -> row
+  let reference = referenceData || null;
+
+  const clone = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+  function loadReferenceData() {
+    if (reference) return reference;
+    reference = {};
+    if (LOCAL_REFERENCE_DATA_FILE) {
+      reference = JSON.parse(fs.readFileSync(LOCAL_REFERENCE_DATA_FILE, 'utf8'));
+      console.log(
+        `ℹ️ [STORE] Loaded reference data from ${LOCAL_REFERENCE_DATA_FILE}: ${Object.keys(
+          reference
+        ).join(', ')}`
+      );
+    }
+    return reference;
+  }
+
+  async function loadJob(jobId) {
+    return clone(jobs.get(jobId));
+  }
+
+  async function insertJob(row) {
+    if (jobs.has(row.jobId)) {
+      throw new Error(`Job ${row.jobId} already exists`);
+    }
+    jobs.set(row.jobId, clone(row));
+  }
+
+  async function markSegmentStatus(jobId, statusColumn, newStatus, meta) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    job[assertIdentifier(statusColumn)] = newStatus;
+    const allMeta = job.segmentMeta ? JSON.parse(job.segmentMeta) : {};
+    allMeta[statusColumn] = {
+      ...(allMeta[statusColumn] || {}),
+      ...segmentMetaFor(meta),
+    };
+    job.segmentMeta = JSON.stringify(allMeta);
+  }
+
+  async function claimSegmentPublish(jobId, statusColumn) {
+    const job = jobs.get(jobId);
+    if (!job) return false;
+    if ((job[assertIdentifier(statusColumn)] || 'queued') !== 'queued') {
+      return false;
+    }
+
+    const allMeta = job.segmentMeta ? JSON.parse(job.segmentMeta) : {};
+    const meta = allMeta[statusColumn] || {};
+    if (meta.publishedAt) return false;
+
+    allMeta[statusColumn] = { ...meta, publishedAt: new Date().toISOString() };
+    job.segmentMeta = JSON.stringify(allMeta);
+    return true;
+  }
+
+  async function updateJobStatus(jobId, newStatus) {
+    const job = jobs.get(jobId);
+    if (job) job.status = newStatus;
+  }
+
+  async function upsertSegmentResult(table, jobId, fields) {
+    assertIdentifier(table);
+    if (!results.has(table)) results.set(table, new Map());
+    const rows = results.get(table);
+    rows.set(jobId, { ...(rows.get(jobId) || {}), ...clone(fields), jobId });
+  }
+
+  async function loadSegmentResult(table, jobId) {
+    const rows = results.get(assertIdentifier(table));
+    return clone(rows && rows.get(jobId));
+  }
+
+  async function loadSegmentResults(table, jobIds) {
+    const rows = results.get(assertIdentifier(table));
+    if (!rows) return [];
+    return jobIds.filter((id) => rows.has(id)).map((id) => clone(rows.get(id)));
+  }
+
+  async function listSegmentResultColumns(table) {
+    const rows = results.get(assertIdentifier(table));
+    const columns = new Set(['jobId']);
+    for (const row of rows ? rows.values() : []) {
+      for (const column of Object.keys(row)) columns.add(column);
+    }
+    return [...columns];
+  }
+
+  async function listJobs({
+    workspaceId,
+    filters = {},
+    sort = DEFAULT_JOB_SORT,
+    after = null,
+    limit = null,
+    fields = null,
+  } = {}) {
+    const q = filters.q && filters.q.toLowerCase();
+    const matches = (job) =>
+      (!workspaceId || job.workspaceId === workspaceId) &&
+      (!filters.status || filters.status.includes(job.status)) &&
+      Object.entries(filters.segmentStatus || {}).every(([column, statuses]) =>
+        statuses.includes(job[column] || 'queued')
+      ) &&
+      (!q ||
+        [job.businessName, job.email].some((v) =>
+          String(v || '')
+            .toLowerCase()
+            .includes(q)
+        )) &&
+      (!filters.createdFrom ||
+        new Date(job.createdAt) >= new Date(filters.createdFrom)) &&
+      (!filters.createdTo ||
+        new Date(job.createdAt) < new Date(filters.createdTo)) &&
+      (!filters.location || job.location === filters.location);
+
+    // Same keyset ordering as the BigQuery backend (nulls first ascending)
+    const key = (job) => {
+      const value = job[sort.column] ?? null;
+      if (value === null) return null;
+      return sort.type === 'TIMESTAMP'
+        ? new Date(value).getTime()
+        : String(value);
+    };
+    const sign = sort.descending ? -1 : 1;
+    const compare = (a, b) => {
+      const [ka, kb] = [key(a), key(b)];
+      if (ka !== kb) {
+        if (ka === null) return -sign;
+        if (kb === null) return sign;
+        return ka < kb ? -sign : sign;
+      }
+      if (a.jobId === b.jobId) return 0;
+      return a.jobId < b.jobId ? -sign : sign;
+    };
+    const afterRow = after && {
+      [sort.column]: after.value,
+      jobId: after.jobId,
+    };
+
+    const columns = fields && [...new Set([...fields, sort.column])];
+    return [...jobs.values()]
+      .filter(matches)
+      .filter((job) => !afterRow || compare(job, afterRow) > 0)
+      .sort(compare)
+      .slice(0, limit || undefined)
+      .map((job) =>
+        columns
+          ? clone(Object.fromEntries(columns.map((c) => [c, job[c] ?? null])))
+          : clone(job)
+      );
+  }
+
+  async function listActiveJobs() {
+    return [...jobs.values()]
+      .filter((job) => ['queued', 'pending'].includes(job.status))
+      .map(clone);
+  }
+
+  async function deleteJob(jobId) {
+    jobs.delete(jobId);
+  }
+
+  async function queryReference(table, where = {}, { limit } = {}) {
+    const rows = (loadReferenceData()[assertIdentifier(table)] || []).filter(
+      (row) =>
+        Object.entries(where).every(([k, v]) =>
+          Array.isArray(v) ? v.includes(row[k]) : row[k] === v
+        )
+    );
+    return (limit ? rows.slice(0, limit) : rows).map(clone);
+  }
+
+  async function claimIdempotencyKey(key, { requestHash, jobId, expiresAt }) {
+    const existing = idempotencyKeys.get(key);
+    if (existing && new Date(existing.expiresAt) > new Date()) {
+      return clone(existing);
+    }
+
+    const record = {
+      idempotencyKey: key,
+      requestHash,
+      jobId,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+    };
+    idempotencyKeys.set(key, record);
+    return clone(record);
+  }
+
+  async function releaseIdempotencyKey(key, jobId) {
+    const existing = idempotencyKeys.get(key);
+    if (existing && existing.jobId === jobId) idempotencyKeys.delete(key);
+  }
+
+  async function insertApiKey(row) {
+    apiKeys.set(row.keyId, { name: null, revokedAt: null, ...clone(row) });
+  }
+
+  async function findApiKey(keyHash) {
+    const row = [...apiKeys.values()].find(
+      (k) => k.keyHash === keyHash && !k.revokedAt
+    );
+    return clone(row);
+  }
+
+  async function listApiKeys({ workspaceId } = {}) {
+    return [...apiKeys.values()]
+      .filter((k) => !workspaceId || k.workspaceId === workspaceId)
+      .map(clone)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async function revokeApiKey(keyId) {
+    const row = apiKeys.get(keyId);
+    if (!row || row.revokedAt) return false;
+    row.revokedAt = new Date().toISOString();
+    return true;
+  }
+
+  return {
+    type: 'memory',
+    loadJob,
+    insertJob,
+    markSegmentStatus,
+    claimSegmentPublish,
+    updateJobStatus,
+    upsertSegmentResult,
+    loadSegmentResult,
+    loadSegmentResults,
+    listSegmentResultColumns,
+    listJobs,
+    listActiveJobs,
+    deleteJob,
+    queryReference,
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    insertApiKey,
+    findApiKey,
+    listApiKeys,
+    revokeApiKey,
+  };
+}
+
+// ---------- Selection ----------
+
+function createJobStore(type = JOB_STORE, options) {
+  switch (type) {
+    case 'bigquery':
+      return createBigQueryJobStore(options);
+    case 'memory':
+      return createMemoryJobStore(options);
+    default:
+      throw new Error(`Unknown JOB_STORE "${type}" (expected bigquery|memory)`);
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Process-wide store, picked by JOB_STORE. API and worker share it when
+ * they run in the same process.
+ */
+function getJobStore() {
+  if (!defaultStore) {
+    defaultStore = createJobStore();
+    console.log(`ℹ️ [STORE] Using ${defaultStore.type} job store`);
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  createJobStore,
+  createBigQueryJobStore,
+  createMemoryJobStore,
+  getJobStore,
+};
@@ -0,0 +1,109 @@
+// keywordProviders.js
+'use strict';
+
+const fs = require('fs');
+const { getJobStore } = require('./jobStore');
+
+/**
+ * Keyword metrics providers for the 5_keywords stage.
+ *
+ * A provider has:
+ *   name
+ *   lookup(keywords, { location }) -> Map(keyword -> { volume, competition, cpc })
+ * Keywords without data are simply missing from the map.
+ *
+ * KEYWORD_PROVIDER picks one:
+ * - reference (default): Client_audits_data.5_keywordMetrics (keyword, location)
+ * - file: KEYWORD_DATA_FILE, a JSON array of
+ *         { keyword, location?, volume, competition, cpc } for offline use
+ */
+
+const KEYWORD_PROVIDER = process.env.KEYWORD_PROVIDER || 'reference';
+const KEYWORD_DATA_FILE = process.env.KEYWORD_DATA_FILE || null;
+
+const KEYWORD_METRICS_TABLE = '5_keywordMetrics';
+
+function toMetrics(row) {
+  const num = (v) =>
+    v === undefined || v === null || v === '' ? null : Number(v);
+  return {
+    volume: num(row.volume),
+    competition: num(row.competition),
+    cpc: num(row.cpc),
+  };
+}
+
+function createReferenceKeywordProvider() {
+  return {
+    name: 'reference',
+    async lookup(keywords, { location } = {}) {
+      const rows = await getJobStore().queryReference(KEYWORD_METRICS_TABLE, {
+        keyword: keywords,
+        location,
+      });
+
+      const found = new Map();
+      for (const row of rows) {
+        found.set(String(row.keyword).toLowerCase(), toMetrics(row));
+      }
+      return found;
+    },
+  };
+}
+
+function createFileKeywordProvider(file = KEYWORD_DATA_FILE) {
+  if (!file) {
+    throw new Error('KEYWORD_PROVIDER=file needs KEYWORD_DATA_FILE');
+  }
+  let rows = null;
+
+  return {
+    name: 'file',
+    async lookup(keywords, { location } = {}) {
+      if (!rows) {
+        rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(
+          `ℹ️ [KEYWORDS] Loaded ${rows.length} keyword metric rows from ${file}`
+        );
+      }
+
+      const found = new Map();
+      for (const keyword of keywords) {
+        const matches = rows.filter(
+          (r) => String(r.keyword).toLowerCase() === keyword
+        );
+        const row =
+          matches.find((r) => r.location === location) ||
+          matches.find((r) => !r.location);
+        if (row) found.set(keyword, toMetrics(row));
+      }
+      return found;
+    },
+  };
+}
+
+let provider = null;
+
+function getKeywordProvider() {
+  if (!provider) {
+    switch (KEYWORD_PROVIDER) {
+      case 'reference':
+        provider = createReferenceKeywordProvider();
+        break;
+      case 'file':
+        provider = createFileKeywordProvider();
+        break;
+      default:
+        throw new Error(
+          `Unknown KEYWORD_PROVIDER "${KEYWORD_PROVIDER}" (expected reference|file)`
+        );
+    }
+  }
+  return provider;
+}
+
+module.exports = {
+  getKeywordProvider,
+  createReferenceKeywordProvider,
+  createFileKeywordProvider,
+};
@@ -0,0 +1,223 @@
+// keywords.js
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const { parseServices, segmentSkipReason } = require('./jobHelpers');
+const { getKeywordProvider } = require('./keywordProviders');
+
+const KEYWORDS_TARGET_TABLE = '5_keywordsJobs';
+
+// Search phrasings generated per service ({service}, {city}, {state})
+const KEYWORD_TEMPLATES = [
+  '{service}',
+  '{service} {city}',
+  '{service} {city} {state}',
+  '{service} near me',
+  'best {service} {city}',
+  '{service} company {city}',
+  '{service} cost',
+  'emergency {service}',
+];
+
+/**
+ * "Austin, TX" -> { city: 'austin', state: 'tx' }
+ */
+function splitLocation(location) {
+  const [city = '', state = ''] = String(location || '')
+    .split(',')
+    .map((part) => part.trim().toLowerCase());
+  return { city, state };
+}
+
+/**
+ * Expand each service into its keyword set for the location.
+ * Returns [{ keyword, service }] without duplicates.
+ */
+function expandKeywords(services, location) {
+  const { city, state } = splitLocation(location);
+  const seen = new Set();
+  const keywords = [];
+
+  for (const service of services) {
+    const name = String(service).trim().toLowerCase();
+    if (!name) continue;
+
+    for (const template of KEYWORD_TEMPLATES) {
+      if (!city && template.includes('{city}')) continue;
+      if (!state && template.includes('{state}')) continue;
+
+      const keyword = template
+        .replace('{service}', name)
+        .replace('{city}', city)
+        .replace('{state}', state)
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (seen.has(keyword)) continue;
+      seen.add(keyword);
+      keywords.push({ keyword, service });
+    }
+  }
+  return keywords;
+}
+
+/**
+ * Stored keyword list for a job ([] until the keywords stage completes).
+ * Used by organic search / paid ads to report against the same set.
+ */
+async function loadJobKeywords(jobId) {
+  const row = await getJobStore().loadSegmentResult(
+    KEYWORDS_TARGET_TABLE,
+    jobId
+  );
+  if (!row || row.status !== 'completed' || !row.keywords) return [];
+  try {
+    return JSON.parse(row.keywords);
+  } catch (e) {
+    return [];
+  }
+}
+
+async function handleKeywordsSegment(jobId, event = {}) {
+  console.log(`▶️ [KEYWORDS] Starting keywords processing for job ${jobId}`);
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(
+      `⚠️ [KEYWORDS] No job row found for jobId=${jobId}, skipping.`
+    );
+    return;
+  }
+
+  const { location, businessName, createdAt, services } = job;
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '5_keywords_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [KEYWORDS] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  const servicesArr = parseServices(services);
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '5_keywords_Status', 'pending');
+
+  // Step 2: expand services into keywords for the location
+  const expanded = expandKeywords(servicesArr, location);
+  if (!expanded.length) {
+    await markSegmentStatus(
+      jobId,
+      '5_keywords_Status',
+      'skipped',
+      'job has no services to build keywords from'
+    );
+    return;
+  }
+
+  // Step 3: attach volume / competition / CPC from the provider
+  const provider = getKeywordProvider();
+  console.log(
+    `ℹ️ [KEYWORDS] Job ${jobId} location = "${location}", ${expanded.length} keywords, provider = ${provider.name}`
+  );
+
+  let metrics;
+  try {
+    metrics = await provider.lookup(
+      expanded.map((k) => k.keyword),
+      { location }
+    );
+  } catch (err) {
+    console.error(
+      `❌ [KEYWORDS] Provider "${provider.name}" FAILED for job ${jobId}:`,
+      err.message || err
+    );
+    await markSegmentStatus(
+      jobId,
+      '5_keywords_Status',
+      'failed',
+      `keyword provider "${provider.name}" failed`
+    );
+    return;
+  }
+
+  const keywords = expanded
+    .map((k) => ({
+      ...k,
+      ...(metrics.get(k.keyword) || {
+        volume: null,
+        competition: null,
+        cpc: null,
+      }),
+    }))
+    .sort((a, b) => (b.volume || 0) - (a.volume || 0));
+
+  const withVolume = keywords.filter((k) => k.volume !== null);
+  const withCpc = keywords.filter((k) => k.cpc !== null);
+  const totalVolume = withVolume.reduce((sum, k) => sum + k.volume, 0);
+  const avgCpc = withCpc.length
+    ? withCpc.reduce((sum, k) => sum + k.cpc, 0) / withCpc.length
+    : null;
+
+  console.log(
+    `ℹ️ [KEYWORDS] Step 4 storing keywords for job ${jobId}: keywords=${keywords.length}, withMetrics=${withVolume.length}, totalVolume=${totalVolume}, avgCpc=${avgCpc}`
+  );
+
+  // Step 4: MERGE into 5_keywordsJobs
+  try {
+    await store.upsertSegmentResult(
+      KEYWORDS_TARGET_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        date: createdAt?.value || createdAt || null,
+        location: location || null,
+        provider: provider.name,
+        keywordCount: keywords.length,
+        totalVolume,
+        avgCpc,
+        keywords: JSON.stringify(keywords),
+        status: 'completed',
+      },
+      {
+        businessName: 'STRING',
+        date: 'TIMESTAMP',
+        location: 'STRING',
+        keywordCount: 'INT64',
+        totalVolume: 'INT64',
+        avgCpc: 'FLOAT64',
+      }
+    );
+
+    console.log(
+      `✅ [KEYWORDS] MERGE completed for job ${jobId} into ${KEYWORDS_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [KEYWORDS] MERGE FAILED for job ${jobId} into ${KEYWORDS_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '5_keywords_Status', 'failed');
+    return;
+  }
+
+  // Step 5: mark completed (also recomputes main status)
+  await markSegmentStatus(jobId, '5_keywords_Status', 'completed');
+}
+
+registerStage({
+  stage: '5_keywords',
+  segment: '5_keywords',
+  statusColumn: '5_keywords_Status',
+  resultTable: KEYWORDS_TARGET_TABLE,
+  resultJsonColumns: ['keywords'],
+  dependsOn: [],
+  handler: handleKeywordsSegment,
+});
+
+module.exports = {
+  handleKeywordsSegment,
+  expandKeywords,
+  loadJobKeywords,
+};
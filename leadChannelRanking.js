@@ -0,0 +1,238 @@
+// leadChannelRanking.js
+const fs = require('fs');
+const path = require('path');
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const { parseServices, segmentSkipReason } = require('./jobHelpers');
+
+const DEMOS_SOURCE_TABLE = '1_demographics';
+const RANKING_TARGET_TABLE = '3_leadChannelRankingJobs';
+
+// 🔧 scoring model (channels, base scores, rules) – override via env var
+const LEAD_CHANNEL_MODEL_FILE =
+  process.env.LEAD_CHANNEL_MODEL_FILE ||
+  path.join(__dirname, 'leadChannelModel.json');
+
+let model = null;
+
+function loadModel() {
+  if (!model) {
+    model = JSON.parse(fs.readFileSync(LEAD_CHANNEL_MODEL_FILE, 'utf8'));
+    console.log(
+      `ℹ️ [LEADS] Loaded lead channel model ${model.version} (${model.channels.length} channels) from ${LEAD_CHANNEL_MODEL_FILE}`
+    );
+  }
+  return model;
+}
+
+function toNumber(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Does a model rule apply to the inputs?
+ *   { field, gte }        numeric field >= value
+ *   { field, lt }         numeric field <  value
+ *   { field, includes }   any service contains one of the listed terms
+ * Rules on missing inputs never apply.
+ */
+function ruleMatches(rule, inputs) {
+  const value = inputs[rule.field];
+
+  if (rule.includes) {
+    const services = (value || []).map((s) => String(s).toLowerCase());
+    return rule.includes.some((term) =>
+      services.some((s) => s.includes(term.toLowerCase()))
+    );
+  }
+
+  const n = toNumber(value);
+  if (n === null) return false;
+  if (rule.gte !== undefined && n < rule.gte) return false;
+  if (rule.lt !== undefined && n >= rule.lt) return false;
+  return true;
+}
+
+/**
+ * Score every channel in the model and return them best first:
+ * [{ rank, channel, label, score, rationale }]
+ */
+function rankLeadChannels(inputs, scoringModel = loadModel()) {
+  const scored = scoringModel.channels.map((channel) => {
+    let score = channel.base;
+    const reasons = [];
+
+    for (const rule of channel.rules || []) {
+      if (!ruleMatches(rule, inputs)) continue;
+      score += rule.points;
+      reasons.push(
+        `${rule.points > 0 ? '+' : ''}${rule.points}: ${rule.rationale}`
+      );
+    }
+
+    return {
+      channel: channel.key,
+      label: channel.label,
+      score: Math.max(0, Math.min(100, score)),
+      rationale: reasons.length
+        ? reasons.join('; ')
+        : 'Baseline score; no model rules matched this business',
+    };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
+
+async function handleLeadChannelRankingSegment(jobId, event = {}) {
+  console.log(
+    `▶️ [LEADS] Starting lead channel ranking processing for job ${jobId}`
+  );
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ [LEADS] No job row found for jobId=${jobId}, skipping.`);
+    return;
+  }
+
+  const { location, businessName, createdAt, services, revenue, budget } = job;
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(
+    job,
+    '3_leadChannelRanking_Status',
+    event
+  );
+  if (skipReason) {
+    console.log(`ℹ️ [LEADS] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '3_leadChannelRanking_Status', 'pending');
+
+  // Step 2: gather inputs (job fields + location demographics)
+  let demoRows;
+  try {
+    demoRows = await store.queryReference(
+      DEMOS_SOURCE_TABLE,
+      { location },
+      { limit: 1 }
+    );
+  } catch (err) {
+    console.error(
+      `❌ [LEADS] Demographics lookup FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '3_leadChannelRanking_Status',
+      'failed',
+      `demographics lookup failed: ${err.message || err}`
+    );
+    return;
+  }
+  const demo = demoRows[0] || {};
+  if (!demoRows.length) {
+    console.warn(
+      `⚠️ [LEADS] No demographics for location "${location}" (job ${jobId}); ranking without demographic rules.`
+    );
+  }
+
+  const inputs = {
+    revenue: toNumber(revenue),
+    budget: toNumber(budget),
+    services: parseServices(services),
+    population_no: toNumber(demo.population_no),
+    households_no: toNumber(demo.households_no),
+    median_age: toNumber(demo.median_age),
+    median_income_households: toNumber(demo.median_income_households),
+  };
+
+  console.log(
+    `ℹ️ [LEADS] Job ${jobId} ranking inputs: ${JSON.stringify(inputs)}`
+  );
+
+  // Step 3: score channels
+  let rankings;
+  try {
+    rankings = rankLeadChannels(inputs);
+  } catch (err) {
+    console.error(
+      `❌ [LEADS] Scoring FAILED for job ${jobId}:`,
+      err.message || err
+    );
+    await markSegmentStatus(
+      jobId,
+      '3_leadChannelRanking_Status',
+      'failed',
+      'lead channel model could not be evaluated'
+    );
+    return;
+  }
+
+  const top = rankings[0];
+  console.log(
+    `ℹ️ [LEADS] Step 4 storing ranking for job ${jobId}: top=${top.channel} (${top.score}), order=${rankings
+      .map((r) => r.channel)
+      .join(' > ')}`
+  );
+
+  // Step 4: MERGE into 3_leadChannelRankingJobs
+  try {
+    await store.upsertSegmentResult(
+      RANKING_TARGET_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        date: createdAt?.value || createdAt || null,
+        modelVersion: loadModel().version,
+        topChannel: top.channel,
+        topChannelScore: top.score,
+        rankings: JSON.stringify(rankings),
+        inputs: JSON.stringify(inputs),
+        status: 'completed',
+      },
+      {
+        businessName: 'STRING',
+        date: 'TIMESTAMP',
+        topChannelScore: 'FLOAT64',
+      }
+    );
+
+    console.log(
+      `✅ [LEADS] MERGE completed for job ${jobId} into ${RANKING_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [LEADS] MERGE FAILED for job ${jobId} into ${RANKING_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '3_leadChannelRanking_Status', 'failed');
+    return;
+  }
+
+  // Step 5: mark completed (also recomputes main status)
+  await markSegmentStatus(jobId, '3_leadChannelRanking_Status', 'completed');
+}
+
+registerStage({
+  stage: '3_leadChannelRanking',
+  segment: '3_leadChannelRanking',
+  statusColumn: '3_leadChannelRanking_Status',
+  resultTable: RANKING_TARGET_TABLE,
+  resultJsonColumns: ['rankings', 'inputs'],
+  dependsOn: [],
+  handler: handleLeadChannelRankingSegment,
+});
+
+module.exports = {
+  handleLeadChannelRankingSegment,
+  rankLeadChannels,
+};
@@ -0,0 +1,27 @@
+// local.js
+'use strict';
+
+/**
+ * Run the API and the worker as one process for development and
+ * integration testing. Defaults to the memory job store and the in-process
+ * event bus, so no GCP project is needed:
+ *
+ *   LOCAL_REFERENCE_DATA_FILE=./reference.json npm run start:local
+ *
+ * API listens on PORT (8080), worker on WORKER_PORT (8081) so n8n
+ * callbacks like /organic-result still have somewhere to go.
+ */
+process.env.JOB_STORE = process.env.JOB_STORE || 'memory';
+process.env.JOB_EVENTS_TRANSPORT =
+  process.env.JOB_EVENTS_TRANSPORT || 'inprocess';
+process.env.CLIENT_INPUT_SECRET =
+  process.env.CLIENT_INPUT_SECRET || 'local-client-input-secret';
+process.env.ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'local-admin-key';
+process.env.CALLBACK_SECRET =
+  process.env.CALLBACK_SECRET || 'local-callback-secret';
+
+const api = require('./index');
+const worker = require('./worker');
+
+api.start(process.env.PORT || 8080);
+worker.start(process.env.WORKER_PORT || 8081);
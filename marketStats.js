@@ -0,0 +1,241 @@
+// marketStats.js
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const { parseServices, segmentSkipReason } = require('./jobHelpers');
+
+const DEMOS_SOURCE_TABLE = '1_demographics';
+const COMPETITORS_SOURCE_TABLE = '4_competitorCounts';
+const INDUSTRY_SOURCE_TABLE = '2_industryStats';
+const MARKET_TARGET_TABLE = '4_marketStatsJobs';
+
+// 🔧 share of households that buy a service in a year, when the competitor
+// dataset has no annual_need_rate for it
+const DEFAULT_ANNUAL_NEED_RATE = Number(
+  process.env.MARKET_DEFAULT_ANNUAL_NEED_RATE || 0.05
+);
+
+function serviceKey(service) {
+  return String(service || '')
+    .trim()
+    .toLowerCase();
+}
+
+function toNumber(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Market size for one service in the job's location.
+ */
+async function computeServiceMarket(store, location, service, households) {
+  const key = serviceKey(service);
+
+  const [competitorRows, industryRows] = await Promise.all([
+    store.queryReference(
+      COMPETITORS_SOURCE_TABLE,
+      { location, service: key },
+      { limit: 1 }
+    ),
+    store.queryReference(INDUSTRY_SOURCE_TABLE, { service: key }, { limit: 1 }),
+  ]);
+
+  const competitors = competitorRows[0] || {};
+  const competitorCount = toNumber(competitors.competitor_count);
+  const needRate =
+    toNumber(competitors.annual_need_rate) ?? DEFAULT_ANNUAL_NEED_RATE;
+  const avgTicketSize = toNumber((industryRows[0] || {}).avg_ticket_size);
+
+  const householdsNeeding = Math.round(households * needRate);
+  const revenueOpportunity =
+    avgTicketSize === null
+      ? null
+      : Math.round(householdsNeeding * avgTicketSize);
+
+  return {
+    service,
+    householdsNeeding,
+    annualNeedRate: needRate,
+    competitorCount,
+    householdsPerCompetitor: competitorCount
+      ? Math.round(householdsNeeding / competitorCount)
+      : null,
+    avgTicketSize,
+    revenueOpportunity,
+  };
+}
+
+function sum(values) {
+  const nums = values.filter((v) => v !== null);
+  return nums.length ? nums.reduce((a, b) => a + b, 0) : null;
+}
+
+async function handleMarketStatsSegment(jobId, event = {}) {
+  console.log(`▶️ [MARKET] Starting market stats processing for job ${jobId}`);
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ [MARKET] No job row found for jobId=${jobId}, skipping.`);
+    return;
+  }
+
+  const { location, businessName, createdAt, services } = job;
+  const marketStatsStatus = job['4_marketStats_Status'];
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '4_marketStats_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [MARKET] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  const servicesArr = parseServices(services);
+
+  console.log(
+    `ℹ️ [MARKET] Job ${jobId} location = "${location}", services = ${JSON.stringify(
+      servicesArr
+    )}, marketStatsStatus = ${marketStatsStatus}`
+  );
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '4_marketStats_Status', 'pending');
+
+  if (!servicesArr.length) {
+    await markSegmentStatus(
+      jobId,
+      '4_marketStats_Status',
+      'skipped',
+      'job has no services'
+    );
+    return;
+  }
+
+  // Step 2: households for the location
+  let demoRows;
+  try {
+    demoRows = await store.queryReference(
+      DEMOS_SOURCE_TABLE,
+      { location },
+      { limit: 1 }
+    );
+  } catch (err) {
+    console.error(
+      `❌ [MARKET] Demographics lookup FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '4_marketStats_Status',
+      'failed',
+      `demographics lookup failed: ${err.message || err}`
+    );
+    return;
+  }
+  const households = toNumber((demoRows[0] || {}).households_no);
+
+  if (households === null) {
+    console.warn(
+      `⚠️ [MARKET] No demographics found for location "${location}" (job ${jobId}), marking failed.`
+    );
+    await markSegmentStatus(
+      jobId,
+      '4_marketStats_Status',
+      'failed',
+      `no demographics for location "${location}"`
+    );
+    return;
+  }
+
+  // Step 3: per-service market size + competitor density
+  let markets;
+  try {
+    markets = [];
+    for (const service of servicesArr) {
+      markets.push(
+        await computeServiceMarket(store, location, service, households)
+      );
+    }
+  } catch (err) {
+    console.error(
+      `❌ [MARKET] Reference lookup FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '4_marketStats_Status',
+      'failed',
+      `market reference lookup failed: ${err.message || err}`
+    );
+    return;
+  }
+
+  const totals = {
+    householdsNeeding: sum(markets.map((m) => m.householdsNeeding)),
+    competitorCount: sum(markets.map((m) => m.competitorCount)),
+    revenueOpportunity: sum(markets.map((m) => m.revenueOpportunity)),
+  };
+
+  console.log(
+    `ℹ️ [MARKET] Step 4 storing market stats for job ${jobId}: households=${households}, needing=${totals.householdsNeeding}, competitors=${totals.competitorCount}, opportunity=${totals.revenueOpportunity}`
+  );
+
+  // Step 4: MERGE into 4_marketStatsJobs
+  try {
+    await store.upsertSegmentResult(
+      MARKET_TARGET_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        date: createdAt?.value || createdAt || null,
+        location: location || null,
+        households_no: households,
+        households_needing: totals.householdsNeeding,
+        competitor_count: totals.competitorCount,
+        revenue_opportunity: totals.revenueOpportunity,
+        serviceMarkets: JSON.stringify(markets),
+        status: 'completed',
+      },
+      {
+        businessName: 'STRING',
+        date: 'TIMESTAMP',
+        location: 'STRING',
+        households_no: 'INT64',
+        households_needing: 'INT64',
+        competitor_count: 'INT64',
+        revenue_opportunity: 'FLOAT64',
+      }
+    );
+
+    console.log(
+      `✅ [MARKET] MERGE completed for job ${jobId} into ${MARKET_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [MARKET] MERGE FAILED for job ${jobId} into ${MARKET_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '4_marketStats_Status', 'failed');
+    return;
+  }
+
+  // Step 5: mark completed (also recomputes main status)
+  await markSegmentStatus(jobId, '4_marketStats_Status', 'completed');
+}
+
+registerStage({
+  stage: '4_marketStats',
+  segment: '4_marketStats',
+  statusColumn: '4_marketStats_Status',
+  resultTable: MARKET_TARGET_TABLE,
+  resultJsonColumns: ['serviceMarkets'],
+  dependsOn: [],
+  handler: handleMarketStatsSegment,
+});
+
+module.exports = {
+  handleMarketStatsSegment,
+};
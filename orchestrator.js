@@ -0,0 +1,314 @@
+// orchestrator.js
+'use strict';
+
+const { getJobStore } = require('./jobStore');
+const { publishJobEvent } = require('./eventBus');
+const { listStages, getStage } = require('./stageRegistry');
+const {
+  TERMINAL_STATUSES,
+  markSegmentStatus,
+  onSegmentStatusChange,
+} = require('./status');
+const { bqTimestampToIso, getSegmentMeta } = require('./jobHelpers');
+
+/**
+ * Walks the stage DAG (stageRegistry dependsOn) for a job.
+ *
+ * Stages without dependsOn are published as soon as the job is created.
+ * Stages with dependsOn wait in 'queued' until every dependency is
+ * 'completed' (or neutral: skipped / not_applicable / not_requested), then
+ * get published.
+ * A 'failed' dependency makes the dependent 'skipped' with a reason, and that
+ * skip cascades further down. Stages registered with
+ * allowFailedDependencies (the summary) run anyway once everything settled.
+ *
+ * Each terminal segment status change re-evaluates the job.
+ *
+ * retrySegment puts a segment back to 'queued' on a new attempt; events carry
+ * the attempt so handlers ignore ones published before the retry. A retry
+ * can be delayed (retryAfter); the watchdog publishes it once due.
+ */
+
+// Statuses that already produced a result (or are producing one); retrying
+// them needs { force: true }
+const FORCE_RETRY_STATUSES = ['completed', 'pending'];
+
+function jobEvent(job, stage) {
+  return {
+    jobId: job.jobId,
+    location: job.location,
+    createdAt: bqTimestampToIso(job.createdAt),
+    stage,
+    attempt: getSegmentMeta(job, getStage(stage).statusColumn).attempt || 1,
+  };
+}
+
+/**
+ * A segment retried with a delay (retryAfter, see retrySegment) is not
+ * published before then; the watchdog sweep publishes it once it is due.
+ */
+function retryDue(job, def, now = new Date()) {
+  const { retryAfter } = getSegmentMeta(job, def.statusColumn);
+  return !retryAfter || new Date(retryAfter) <= now;
+}
+
+/**
+ * Did this dependency end without usable output? True for 'failed', and for
+ * 'skipped' when it was skipped because of its own failed dependency.
+ */
+function dependencyBlocked(dep, job) {
+  const status = job[dep.statusColumn];
+  if (status === 'failed') return true;
+  return (
+    status === 'skipped' &&
+    Boolean(getSegmentMeta(job, dep.statusColumn).blockedBy)
+  );
+}
+
+/**
+ * Where a stage stands with respect to its dependencies:
+ *   { state: 'ready' }
+ *   { state: 'waiting', waitingFor: [segment] }
+ *   { state: 'blocked', blockedBy: [segment] }
+ * Dependencies without a registered stage are disabled, so never wait on them.
+ */
+function dependencyState(def, job) {
+  const waitingFor = [];
+  const blockedBy = [];
+
+  for (const segment of def.dependsOn) {
+    const dep = getStage(segment);
+    if (!dep) continue;
+
+    if (!TERMINAL_STATUSES.includes(job[dep.statusColumn])) {
+      waitingFor.push(segment);
+    } else if (dependencyBlocked(dep, job)) {
+      blockedBy.push(segment);
+    }
+  }
+
+  if (blockedBy.length && !def.allowFailedDependencies) {
+    return { state: 'blocked', blockedBy };
+  }
+  if (waitingFor.length) return { state: 'waiting', waitingFor };
+  return { state: 'ready' };
+}
+
+/**
+ * Publish every still-queued dependent stage that became ready, and skip the
+ * ones a failed dependency blocks. Returns the published stage names.
+ */
+async function advanceJob(jobId, now = new Date()) {
+  const job = await getJobStore().loadJob(jobId);
+  if (!job) return [];
+
+  const published = [];
+  for (const def of listStages()) {
+    if (!def.dependsOn.length) continue;
+
+    const status = job[def.statusColumn];
+    if (status && status !== 'queued') continue;
+
+    const { state, blockedBy } = dependencyState(def, job);
+
+    if (state === 'blocked') {
+      // The skip is a status change of its own, which re-runs advanceJob
+      // with fresh state for anything further down the graph.
+      await markSegmentStatus(jobId, def.statusColumn, 'skipped', {
+        reason: `dependency ${blockedBy.join(', ')} did not complete`,
+        blockedBy,
+      });
+      return published;
+    }
+
+    if (state === 'ready' && retryDue(job, def, now)) {
+      // Another status change may be publishing it right now
+      const claimed = await getJobStore().claimSegmentPublish(
+        jobId,
+        def.statusColumn
+      );
+      if (!claimed) continue;
+
+      console.log(
+        `➡️ [ORCH] ${def.stage} is ready for job ${jobId}, publishing`
+      );
+      await publishJobEvent(jobEvent(job, def.stage));
+      published.push(def.stage);
+    }
+  }
+  return published;
+}
+
+/**
+ * Kick off a freshly inserted job: publish the stages that don't depend on
+ * anything, plus any dependent stage whose dependencies are all disabled.
+ */
+async function publishInitialStages(job) {
+  for (const def of listStages()) {
+    if (def.dependsOn.length) continue;
+    if (job[def.statusColumn] !== 'queued') continue; // e.g. not_requested
+    await publishJobEvent(jobEvent(job, def.stage));
+  }
+  await advanceJob(job.jobId);
+}
+
+/**
+ * Stages downstream of `def` that have to run again with it: ones skipped
+ * because of a failed dependency on the way, and aggregate stages
+ * (allowFailedDependencies) that already ran without its output.
+ */
+function dependentsToReset(def, job) {
+  const reset = [];
+  const frontier = [def.segment];
+
+  while (frontier.length) {
+    const segment = frontier.shift();
+    for (const dependent of listStages()) {
+      if (!dependent.dependsOn.includes(segment)) continue;
+      if (reset.includes(dependent)) continue;
+
+      const status = job[dependent.statusColumn];
+      if (
+        status === 'skipped' &&
+        getSegmentMeta(job, dependent.statusColumn).blockedBy
+      ) {
+        reset.push(dependent);
+        frontier.push(dependent.segment);
+      } else if (
+        dependent.allowFailedDependencies &&
+        ['completed', 'failed'].includes(status)
+      ) {
+        reset.push(dependent);
+      }
+    }
+  }
+  return reset;
+}
+
+/**
+ * Run a segment again: reset it (and the dependents that have to follow, see
+ * dependentsToReset) to 'queued' on a new attempt, then republish it, or
+ * leave it to advanceJob when it still waits on dependencies. With
+ * `retryAfter` (ISO time) it stays queued until publishDueRetries runs after
+ * that time.
+ *
+ * Resolves to { jobId, segment, attempt, previousStatus, reset, status }, or
+ * { httpStatus, error } when the segment can't be retried.
+ */
+async function retrySegment(
+  jobId,
+  segment,
+  { force = false, retryAfter = null } = {}
+) {
+  const def = getStage(segment);
+  if (!def) return { httpStatus: 404, error: `Unknown segment "${segment}"` };
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) return { httpStatus: 404, error: 'Job not found' };
+
+  const previousStatus = job[def.statusColumn] || 'queued';
+  if (['not_requested', 'not_applicable'].includes(previousStatus)) {
+    return {
+      httpStatus: 409,
+      error: `${def.segment} is ${previousStatus} for this job`,
+    };
+  }
+  if (FORCE_RETRY_STATUSES.includes(previousStatus) && !force) {
+    return {
+      httpStatus: 409,
+      error: `${def.segment} is ${previousStatus}; pass force: true to run it again`,
+    };
+  }
+
+  const { state, blockedBy } = dependencyState(def, job);
+  if (state === 'blocked') {
+    return {
+      httpStatus: 409,
+      error: `${def.segment} depends on ${blockedBy.join(
+        ', '
+      )}, which did not complete; retry that first`,
+    };
+  }
+
+  const retriedAt = new Date().toISOString();
+  const reset = [def, ...dependentsToReset(def, job)];
+  for (const stage of reset) {
+    const attempt = (getSegmentMeta(job, stage.statusColumn).attempt || 1) + 1;
+    await markSegmentStatus(jobId, stage.statusColumn, 'queued', {
+      reason: null,
+      attempt,
+      retriedAt,
+      retryAfter: stage === def ? retryAfter : null,
+      publishedAt: null,
+      blockedBy: null,
+    });
+  }
+
+  console.log(
+    `🔁 [ORCH] Retrying ${def.stage} for job ${jobId} (was ${previousStatus}${
+      reset.length > 1
+        ? `, also reset ${reset
+            .slice(1)
+            .map((d) => d.segment)
+            .join(', ')}`
+        : ''
+    })`
+  );
+
+  if (
+    !def.dependsOn.length &&
+    !retryAfter &&
+    (await store.claimSegmentPublish(jobId, def.statusColumn))
+  ) {
+    await publishJobEvent(jobEvent(await store.loadJob(jobId), def.stage));
+  }
+  await advanceJob(jobId);
+
+  const updated = await store.loadJob(jobId);
+  return {
+    jobId,
+    segment: def.segment,
+    attempt: getSegmentMeta(updated, def.statusColumn).attempt,
+    previousStatus,
+    reset: reset.map((d) => d.segment),
+    status: updated.status,
+  };
+}
+
+/**
+ * Publish the delayed retries of a job that are due: root stages directly,
+ * dependent ones through advanceJob. Returns the published stage names.
+ */
+async function publishDueRetries(jobId, now = new Date()) {
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) return [];
+
+  const published = [];
+  for (const def of listStages()) {
+    if (def.dependsOn.length) continue;
+    if (job[def.statusColumn] !== 'queued') continue;
+    if (!getSegmentMeta(job, def.statusColumn).retryAfter) continue;
+    if (!retryDue(job, def, now)) continue;
+    if (!(await store.claimSegmentPublish(jobId, def.statusColumn))) continue;
+
+    console.log(`➡️ [ORCH] Retry of ${def.stage} is due for job ${jobId}`);
+    await publishJobEvent(jobEvent(job, def.stage));
+    published.push(def.stage);
+  }
+  return [...published, ...(await advanceJob(jobId, now))];
+}
+
+onSegmentStatusChange(async (jobId, segmentColumn, newStatus) => {
+  if (!TERMINAL_STATUSES.includes(newStatus)) return;
+  await advanceJob(jobId);
+});
+
+module.exports = {
+  dependencyState,
+  advanceJob,
+  publishInitialStages,
+  retrySegment,
+  publishDueRetries,
+};
@@ -1,78 +1,41 @@
 // organicSearch.js
-const { BigQuery } = require('@google-cloud/bigquery');
 const axios = require('axios');
-const { markSegmentStatus, recomputeMainStatus } = require('./status');
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const {
+  parseServices,
+  getSegmentMeta,
+  segmentSkipReason,
+} = require('./jobHelpers');
+const { loadJobKeywords } = require('./keywords');
+const { callbackToken } = require('./callbackAuth');
 
-const bigquery = new BigQuery();
-
-const PROJECT_ID = 'ghs-construction-1734441714520';
-const JOBS_TABLE = `${PROJECT_ID}.Client_audits.client_audits_jobs`;
-const ORG_TABLE = `${PROJECT_ID}.Client_audits.7_organicSearch_Jobs`;
+const ORG_TABLE = '7_organicSearch_Jobs';
 
 // 🔧 configure via env var
 const N8N_ORG_WEBHOOK_URL =
   process.env.N8N_ORG_WEBHOOK_URL ||
   'https://n8n.srv974379.hstgr.cloud/webhook/07_organicSearch';
 
-async function loadJob(jobId) {
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        jobId,
-        location,
-        businessName,
-        services,
-        1_demographics_Status AS demographicsStatus,
-        7_organicSearch_Status AS organicSearchStatus,
-        paidAdsStatus,
-        status,
-        createdAt
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId },
-  });
-  return rows[0] || null;
-}
-
-function parseServices(servicesField) {
-  if (!servicesField) return [];
-  if (Array.isArray(servicesField)) return servicesField;
-  if (typeof servicesField === 'string') {
-    try {
-      const parsed = JSON.parse(servicesField);
-      if (Array.isArray(parsed)) return parsed;
-    } catch (e) {
-      // fall through
-      return [servicesField];
-    }
-  }
-  return [];
-}
-
-async function handleOrganicSearchSegment(jobId) {
+async function handleOrganicSearchSegment(jobId, event = {}) {
   console.log(`▶️ [ORG] Starting organic search processing for job ${jobId}`);
 
-  const job = await loadJob(jobId);
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
   if (!job) {
     console.warn(`⚠️ [ORG] No job row found for jobId=${jobId}, skipping.`);
     return;
   }
 
-  const {
-    location,
-    businessName,
-    organicSearchStatus,
-    createdAt,
-    services,
-  } = job;
+  const { location, businessName, website, createdAt, services } = job;
+  const organicSearchStatus = job['7_organicSearch_Status'];
 
-  // 🔒 Idempotency guard: only run when status is "queued"
-  if (organicSearchStatus && organicSearchStatus !== 'queued') {
-    console.log(
-      `ℹ️ [ORG] Job ${jobId} organicSearchStatus=${organicSearchStatus}, not 'queued' – skipping.`
-    );
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '7_organicSearch_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [ORG] Job ${jobId} ${skipReason} – skipping.`);
     return;
   }
 
@@ -87,11 +50,50 @@ async function handleOrganicSearchSegment(jobId) {
   // Step 1: mark segment pending
   await markSegmentStatus(jobId, '7_organicSearch_Status', 'pending');
 
-  // Step 2: send payload to n8n
+  // Step 2: insert or update initial row in 7_organicSearch_Jobs with pending
+  // status - before calling n8n, so it can't overwrite the callback's result
+  const createdAtTs = createdAt?.value || createdAt || null;
+
+  console.log(
+    `ℹ️ [ORG] Inserting initial row into ${ORG_TABLE} for job ${jobId} with status='pending'`
+  );
+
+  try {
+    await store.upsertSegmentResult(
+      ORG_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        website: website || null,
+        date: createdAtTs,
+        status: 'pending',
+      },
+      { businessName: 'STRING', website: 'STRING', date: 'TIMESTAMP' }
+    );
+  } catch (err) {
+    console.error(
+      `❌ [ORG] Initial row insert FAILED for job ${jobId} into ${ORG_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '7_organicSearch_Status',
+      'failed',
+      `initial result row insert failed: ${err.message || err}`
+    );
+    return;
+  }
+
+  // Step 3: send payload to n8n (with the job's keyword set, if built)
+  const keywords = await loadJobKeywords(jobId);
+  const attempt = getSegmentMeta(job, '7_organicSearch_Status').attempt || 1;
   const payload = {
     jobId,
     location,
     services: servicesArr,
+    keywords: keywords.map((k) => k.keyword),
+    // echoed back in the callback, see storeOrganicResult
+    attempt,
   };
 
   console.log(
@@ -100,49 +102,27 @@ async function handleOrganicSearchSegment(jobId) {
     )}`
   );
 
-  await axios.post(N8N_ORG_WEBHOOK_URL, payload, { timeout: 30000 });
-  console.log(
-    `✅ [ORG] n8n webhook call succeeded for job ${jobId}. Response: "Workflow was started"`
-  );
-
-  // Step 3: insert or update initial row in 7_organicSearch_Jobs with pending status
-  const createdAtTs = createdAt?.value || createdAt || null;
-
-  console.log(
-    `ℹ️ [ORG] Inserting initial row into ${ORG_TABLE} for job ${jobId} with status='pending'`
-  );
-
-  await bigquery.query({
-    query: `
-      MERGE \`${ORG_TABLE}\` T
-      USING (
-        SELECT
-          @jobId AS jobId,
-          @businessName AS businessName,
-          @date AS date,
-          'pending' AS status
-      ) S
-      ON T.jobId = S.jobId
-      WHEN NOT MATCHED THEN
-        INSERT (jobId, businessName, date, status)
-        VALUES (S.jobId, S.businessName, S.date, S.status)
-      WHEN MATCHED THEN
-        UPDATE SET
-          businessName = S.businessName,
-          date = S.date,
-          status = S.status
-    `,
-    params: {
-      jobId,
-      businessName: businessName || null,
-      date: createdAtTs,
-    },
-    types: {
-      jobId: 'STRING',
-      businessName: 'STRING',
-      date: 'TIMESTAMP',
-    },
-  });
+  try {
+    // n8n echoes callbackToken back so the callback is accepted
+    await axios.post(
+      N8N_ORG_WEBHOOK_URL,
+      {
+        ...payload,
+        callbackToken: callbackToken('7_organicSearch', jobId, attempt),
+      },
+      { timeout: 30000 }
+    );
+    console.log(
+      `✅ [ORG] n8n webhook call succeeded for job ${jobId}. Response: "Workflow was started"`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [ORG] n8n webhook call FAILED for job ${jobId}:`,
+      err.message || err
+    );
+    await markSegmentStatus(jobId, '7_organicSearch_Status', 'failed');
+    return;
+  }
 }
 
 /**
@@ -158,28 +138,45 @@ async function handleOrganicSearchSegment(jobId) {
  * ]
  */
 async function handleOrganicResultCallback(body) {
-  const item = Array.isArray(body) ? body[0] : body || {};
+  const items = Array.isArray(body) ? body : [body || {}];
+  console.log(`📥 [ORG-CB] Received ${items.length} organic result item(s)`);
+
+  for (const item of items) {
+    await storeOrganicResult(item);
+  }
+}
+
+async function storeOrganicResult(item) {
   const jobId = item.jobId;
 
   if (!jobId) {
     console.error(
       '❌ [ORG-CB] Missing jobId in organic callback payload:',
-      JSON.stringify(body)
+      JSON.stringify(item)
     );
     return;
   }
 
-  const job = await loadJob(jobId);
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
   if (!job) {
     console.warn(
       `⚠️ [ORG-CB] No job found for jobId=${jobId}, marking segment failed.`
     );
     await markSegmentStatus(jobId, '7_organicSearch_Status', 'failed');
-    await recomputeMainStatus(jobId);
     return;
   }
 
-  const { businessName, createdAt } = job;
+  // A callback for an attempt that was retried since is stale
+  const attempt = getSegmentMeta(job, '7_organicSearch_Status').attempt || 1;
+  if (item.attempt && Number(item.attempt) < attempt) {
+    console.log(
+      `ℹ️ [ORG-CB] Ignoring organic callback for job ${jobId}: attempt ${item.attempt}, segment is on attempt ${attempt}`
+    );
+    return;
+  }
+
+  const { businessName, website, createdAt } = job;
   const createdAtTs = createdAt?.value || createdAt || null;
 
   console.log(
@@ -187,170 +184,26 @@ async function handleOrganicResultCallback(body) {
   );
 
   // Build MERGE for all rank fields coming back from n8n
-  const params = {
-    jobId,
+  const fields = {
     businessName: businessName || null,
+    website: website || null,
     date: createdAtTs,
-    rank1Name: item.rank1Name || null,
-    rank1Url: item.rank1Url || null,
-    rank2Name: item.rank2Name || null,
-    rank2Url: item.rank2Url || null,
-    rank3Name: item.rank3Name || null,
-    rank3Url: item.rank3Url || null,
-    rank4Name: item.rank4Name || null,
-    rank4Url: item.rank4Url || null,
-    rank5Name: item.rank5Name || null,
-    rank5Url: item.rank5Url || null,
-    rank6Name: item.rank6Name || null,
-    rank6Url: item.rank6Url || null,
-    rank7Name: item.rank7Name || null,
-    rank7Url: item.rank7Url || null,
-    rank8Name: item.rank8Name || null,
-    rank8Url: item.rank8Url || null,
-    rank9Name: item.rank9Name || null,
-    rank9Url: item.rank9Url || null,
-    rank10Name: item.rank10Name || null,
-    rank10Url: item.rank10Url || null,
   };
+  const types = {
+    businessName: 'STRING',
+    website: 'STRING',
+    date: 'TIMESTAMP',
+  };
+  for (let rank = 1; rank <= 10; rank++) {
+    fields[`rank${rank}Name`] = item[`rank${rank}Name`] || null;
+    fields[`rank${rank}Url`] = item[`rank${rank}Url`] || null;
+    types[`rank${rank}Name`] = 'STRING';
+    types[`rank${rank}Url`] = 'STRING';
+  }
+  fields.status = 'completed';
 
   try {
-    await bigquery.query({
-      query: `
-        MERGE \`${ORG_TABLE}\` T
-        USING (
-          SELECT
-            @jobId AS jobId,
-            @businessName AS businessName,
-            @date AS date,
-            @rank1Name AS rank1Name,
-            @rank1Url AS rank1Url,
-            @rank2Name AS rank2Name,
-            @rank2Url AS rank2Url,
-            @rank3Name AS rank3Name,
-            @rank3Url AS rank3Url,
-            @rank4Name AS rank4Name,
-            @rank4Url AS rank4Url,
-            @rank5Name AS rank5Name,
-            @rank5Url AS rank5Url,
-            @rank6Name AS rank6Name,
-            @rank6Url AS rank6Url,
-            @rank7Name AS rank7Name,
-            @rank7Url AS rank7Url,
-            @rank8Name AS rank8Name,
-            @rank8Url AS rank8Url,
-            @rank9Name AS rank9Name,
-            @rank9Url AS rank9Url,
-            @rank10Name AS rank10Name,
-            @rank10Url AS rank10Url,
-            'completed' AS status
-        ) S
-        ON T.jobId = S.jobId
-        WHEN NOT MATCHED THEN
-          INSERT (
-            jobId,
-            businessName,
-            date,
-            rank1Name,
-            rank1Url,
-            rank2Name,
-            rank2Url,
-            rank3Name,
-            rank3Url,
-            rank4Name,
-            rank4Url,
-            rank5Name,
-            rank5Url,
-            rank6Name,
-            rank6Url,
-            rank7Name,
-            rank7Url,
-            rank8Name,
-            rank8Url,
-            rank9Name,
-            rank9Url,
-            rank10Name,
-            rank10Url,
-            status
-          )
-          VALUES (
-            S.jobId,
-            S.businessName,
-            S.date,
-            S.rank1Name,
-            S.rank1Url,
-            S.rank2Name,
-            S.rank2Url,
-            S.rank3Name,
-            S.rank3Url,
-            S.rank4Name,
-            S.rank4Url,
-            S.rank5Name,
-            S.rank5Url,
-            S.rank6Name,
-            S.rank6Url,
-            S.rank7Name,
-            S.rank7Url,
-            S.rank8Name,
-            S.rank8Url,
-            S.rank9Name,
-            S.rank9Url,
-            S.rank10Name,
-            S.rank10Url,
-            S.status
-          )
-        WHEN MATCHED THEN
-          UPDATE SET
-            businessName = S.businessName,
-            date = S.date,
-            rank1Name = S.rank1Name,
-            rank1Url = S.rank1Url,
-            rank2Name = S.rank2Name,
-            rank2Url = S.rank2Url,
-            rank3Name = S.rank3Name,
-            rank3Url = S.rank3Url,
-            rank4Name = S.rank4Name,
-            rank4Url = S.rank4Url,
-            rank5Name = S.rank5Name,
-            rank5Url = S.rank5Url,
-            rank6Name = S.rank6Name,
-            rank6Url = S.rank6Url,
-            rank7Name = S.rank7Name,
-            rank7Url = S.rank7Url,
-            rank8Name = S.rank8Name,
-            rank8Url = S.rank8Url,
-            rank9Name = S.rank9Name,
-            rank9Url = S.rank9Url,
-            rank10Name = S.rank10Name,
-            rank10Url = S.rank10Url,
-            status = S.status
-      `,
-      params,
-      types: {
-        jobId: 'STRING',
-        businessName: 'STRING',
-        date: 'TIMESTAMP',
-        rank1Name: 'STRING',
-        rank1Url: 'STRING',
-        rank2Name: 'STRING',
-        rank2Url: 'STRING',
-        rank3Name: 'STRING',
-        rank3Url: 'STRING',
-        rank4Name: 'STRING',
-        rank4Url: 'STRING',
-        rank5Name: 'STRING',
-        rank5Url: 'STRING',
-        rank6Name: 'STRING',
-        rank6Url: 'STRING',
-        rank7Name: 'STRING',
-        rank7Url: 'STRING',
-        rank8Name: 'STRING',
-        rank8Url: 'STRING',
-        rank9Name: 'STRING',
-        rank9Url: 'STRING',
-        rank10Name: 'STRING',
-        rank10Url: 'STRING',
-      },
-    });
+    await store.upsertSegmentResult(ORG_TABLE, jobId, fields, types);
 
     console.log(
       `✅ [ORG-CB] MERGE completed for job ${jobId} into ${ORG_TABLE}`
@@ -359,7 +212,6 @@ async function handleOrganicResultCallback(body) {
     // If we want, we could re-check for nulls here and set status=failed, but
     // BigQuery MERGE succeeded and we set status='completed' above.
     await markSegmentStatus(jobId, '7_organicSearch_Status', 'completed');
-    await recomputeMainStatus(jobId);
   } catch (err) {
     console.error(
       `❌ [ORG-CB] MERGE FAILED for job ${jobId}:`,
@@ -367,10 +219,42 @@ async function handleOrganicResultCallback(body) {
     );
     // mark failed so main status can move on
     await markSegmentStatus(jobId, '7_organicSearch_Status', 'failed');
-    await recomputeMainStatus(jobId);
   }
 }
 
+/**
+ * Stored rank1Name/rank1Url... columns as a ranking list (GET /jobs/:jobId).
+ */
+function formatOrganicResult(row) {
+  const rankings = [];
+  for (let rank = 1; rank <= 10; rank++) {
+    const name = row[`rank${rank}Name`];
+    const url = row[`rank${rank}Url`];
+    if (name || url)
+      rankings.push({ rank, name: name || null, url: url || null });
+  }
+  return {
+    businessName: row.businessName,
+    website: row.website,
+    date: row.date,
+    status: row.status,
+    rankings,
+  };
+}
+
+registerStage({
+  stage: '7_organicSearch',
+  segment: '7_organicSearch',
+  statusColumn: '7_organicSearch_Status',
+  resultTable: ORG_TABLE,
+  dependsOn: ['5_keywords'],
+  handler: handleOrganicSearchSegment,
+  formatResult: formatOrganicResult,
+  callback: { path: '/organic-result', handler: handleOrganicResultCallback },
+  // n8n workflows can take a while; after that the callback is presumed lost
+  pendingTimeoutMinutes: 30,
+});
+
 module.exports = {
   handleOrganicSearchSegment,
   handleOrganicResultCallback,
@@ -0,0 +1,305 @@
+// paidAds.js
+const axios = require('axios');
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const {
+  parseServices,
+  getSegmentMeta,
+  segmentSkipReason,
+} = require('./jobHelpers');
+const { loadJobKeywords } = require('./keywords');
+const { callbackToken } = require('./callbackAuth');
+
+const PAID_TABLE = '8_paidAds_Jobs';
+
+// Number of ad slots stored per job (ad1..ad10)
+const MAX_ADS = 10;
+
+// 🔧 configure via env var
+const N8N_PAID_ADS_WEBHOOK_URL =
+  process.env.N8N_PAID_ADS_WEBHOOK_URL ||
+  'https://n8n.srv974379.hstgr.cloud/webhook/08_paidAds';
+
+async function handlePaidAdsSegment(jobId, event = {}) {
+  console.log(`▶️ [PAID] Starting paid ads processing for job ${jobId}`);
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ [PAID] No job row found for jobId=${jobId}, skipping.`);
+    return;
+  }
+
+  const { location, businessName, website, createdAt, services } = job;
+  const paidAdsStatus = job['8_paidAds_Status'];
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '8_paidAds_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [PAID] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  const servicesArr = parseServices(services);
+
+  console.log(
+    `ℹ️ [PAID] Job ${jobId} location = "${location}", paidAdsStatus = ${paidAdsStatus}, services = ${JSON.stringify(
+      servicesArr
+    )}`
+  );
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '8_paidAds_Status', 'pending');
+
+  // Step 2: insert or update initial row in 8_paidAds_Jobs with pending
+  // status - before calling n8n, so it can't overwrite the callback's result
+  const createdAtTs = createdAt?.value || createdAt || null;
+
+  console.log(
+    `ℹ️ [PAID] Inserting initial row into ${PAID_TABLE} for job ${jobId} with status='pending'`
+  );
+
+  try {
+    await store.upsertSegmentResult(
+      PAID_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        website: website || null,
+        date: createdAtTs,
+        status: 'pending',
+      },
+      { businessName: 'STRING', website: 'STRING', date: 'TIMESTAMP' }
+    );
+  } catch (err) {
+    console.error(
+      `❌ [PAID] Initial row insert FAILED for job ${jobId} into ${PAID_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '8_paidAds_Status',
+      'failed',
+      `initial result row insert failed: ${err.message || err}`
+    );
+    return;
+  }
+
+  // Step 3: send payload to n8n (with the job's keyword set, if built)
+  const keywords = await loadJobKeywords(jobId);
+  const attempt = getSegmentMeta(job, '8_paidAds_Status').attempt || 1;
+  const payload = {
+    jobId,
+    location,
+    services: servicesArr,
+    keywords: keywords.map((k) => k.keyword),
+    // echoed back in the callback, see storePaidAdsResult
+    attempt,
+  };
+
+  console.log(
+    `ℹ️ [PAID] Sending payload to n8n webhook: ${N8N_PAID_ADS_WEBHOOK_URL} → ${JSON.stringify(
+      payload
+    )}`
+  );
+
+  try {
+    // n8n echoes callbackToken back so the callback is accepted
+    await axios.post(
+      N8N_PAID_ADS_WEBHOOK_URL,
+      { ...payload, callbackToken: callbackToken('8_paidAds', jobId, attempt) },
+      { timeout: 30000 }
+    );
+    console.log(
+      `✅ [PAID] n8n webhook call succeeded for job ${jobId}. Response: "Workflow was started"`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [PAID] n8n webhook call FAILED for job ${jobId}:`,
+      err.message || err
+    );
+    await markSegmentStatus(jobId, '8_paidAds_Status', 'failed');
+    return;
+  }
+}
+
+/**
+ * Normalize the ads in a callback item into a list sorted by position.
+ * Accepts either an `ads` array or flat ad1Advertiser/ad1Copy/... fields.
+ */
+function extractAds(item) {
+  let ads;
+  if (Array.isArray(item.ads)) {
+    ads = item.ads.map((ad, i) => ({
+      advertiserName: ad.advertiserName || ad.advertiser || null,
+      adCopy: ad.adCopy || ad.copy || null,
+      displayUrl: ad.displayUrl || null,
+      position: Number(ad.position) || i + 1,
+    }));
+  } else {
+    ads = [];
+    for (let n = 1; n <= MAX_ADS; n++) {
+      if (!item[`ad${n}Advertiser`] && !item[`ad${n}DisplayUrl`]) continue;
+      ads.push({
+        advertiserName: item[`ad${n}Advertiser`] || null,
+        adCopy: item[`ad${n}Copy`] || null,
+        displayUrl: item[`ad${n}DisplayUrl`] || null,
+        position: Number(item[`ad${n}Position`]) || n,
+      });
+    }
+  }
+
+  return ads.sort((a, b) => a.position - b.position).slice(0, MAX_ADS);
+}
+
+/**
+ * Callback from n8n with final paid ads results.
+ * body example:
+ * [
+ *   {
+ *     "jobId": "...",
+ *     "ads": [
+ *       {
+ *         "advertiserName": "...",
+ *         "adCopy": "...",
+ *         "displayUrl": "...",
+ *         "position": 1
+ *       }
+ *     ]
+ *   }
+ * ]
+ */
+async function handlePaidAdsResultCallback(body) {
+  const items = Array.isArray(body) ? body : [body || {}];
+  console.log(`📥 [PAID-CB] Received ${items.length} paid ads result item(s)`);
+
+  for (const item of items) {
+    await storePaidAdsResult(item);
+  }
+}
+
+async function storePaidAdsResult(item) {
+  const jobId = item.jobId;
+
+  if (!jobId) {
+    console.error(
+      '❌ [PAID-CB] Missing jobId in paid ads callback payload:',
+      JSON.stringify(item)
+    );
+    return;
+  }
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(
+      `⚠️ [PAID-CB] No job found for jobId=${jobId}, marking segment failed.`
+    );
+    await markSegmentStatus(jobId, '8_paidAds_Status', 'failed');
+    return;
+  }
+
+  // A callback for an attempt that was retried since is stale
+  const attempt = getSegmentMeta(job, '8_paidAds_Status').attempt || 1;
+  if (item.attempt && Number(item.attempt) < attempt) {
+    console.log(
+      `ℹ️ [PAID-CB] Ignoring paid ads callback for job ${jobId}: attempt ${item.attempt}, segment is on attempt ${attempt}`
+    );
+    return;
+  }
+
+  const { businessName, website, createdAt } = job;
+  const createdAtTs = createdAt?.value || createdAt || null;
+  const ads = extractAds(item);
+
+  console.log(
+    `▶️ [PAID-CB] Processing paid ads callback for job ${jobId} (location=${job.location}, ads=${ads.length})`
+  );
+
+  // Build MERGE for all ad slots coming back from n8n
+  const fields = {
+    businessName: businessName || null,
+    website: website || null,
+    date: createdAtTs,
+  };
+  const types = {
+    businessName: 'STRING',
+    website: 'STRING',
+    date: 'TIMESTAMP',
+  };
+  for (let n = 1; n <= MAX_ADS; n++) {
+    const ad = ads[n - 1] || {};
+    fields[`ad${n}Advertiser`] = ad.advertiserName || null;
+    fields[`ad${n}Copy`] = ad.adCopy || null;
+    fields[`ad${n}DisplayUrl`] = ad.displayUrl || null;
+    fields[`ad${n}Position`] = ad.position || null;
+    types[`ad${n}Advertiser`] = 'STRING';
+    types[`ad${n}Copy`] = 'STRING';
+    types[`ad${n}DisplayUrl`] = 'STRING';
+    types[`ad${n}Position`] = 'INT64';
+  }
+  fields.adsCount = ads.length;
+  types.adsCount = 'INT64';
+  fields.status = 'completed';
+
+  try {
+    await store.upsertSegmentResult(PAID_TABLE, jobId, fields, types);
+
+    console.log(
+      `✅ [PAID-CB] MERGE completed for job ${jobId} into ${PAID_TABLE}`
+    );
+
+    await markSegmentStatus(jobId, '8_paidAds_Status', 'completed');
+  } catch (err) {
+    console.error(
+      `❌ [PAID-CB] MERGE FAILED for job ${jobId}:`,
+      err.message || err
+    );
+    // mark failed so main status can move on
+    await markSegmentStatus(jobId, '8_paidAds_Status', 'failed');
+  }
+}
+
+/**
+ * Stored ad1Advertiser/ad1Copy... columns as an ad list (GET /jobs/:jobId).
+ */
+function formatPaidAdsResult(row) {
+  const ads = [];
+  for (let n = 1; n <= MAX_ADS; n++) {
+    if (!row[`ad${n}Advertiser`] && !row[`ad${n}DisplayUrl`]) continue;
+    ads.push({
+      advertiserName: row[`ad${n}Advertiser`] || null,
+      adCopy: row[`ad${n}Copy`] || null,
+      displayUrl: row[`ad${n}DisplayUrl`] || null,
+      position: row[`ad${n}Position`] ?? null,
+    });
+  }
+  return {
+    businessName: row.businessName,
+    website: row.website,
+    date: row.date,
+    status: row.status,
+    adsCount: row.adsCount ?? ads.length,
+    ads,
+  };
+}
+
+registerStage({
+  stage: '8_paidAds',
+  segment: '8_paidAds',
+  statusColumn: '8_paidAds_Status',
+  resultTable: PAID_TABLE,
+  dependsOn: ['5_keywords'],
+  handler: handlePaidAdsSegment,
+  formatResult: formatPaidAdsResult,
+  callback: { path: '/paid-ads-result', handler: handlePaidAdsResultCallback },
+  // n8n workflows can take a while; after that the callback is presumed lost
+  pendingTimeoutMinutes: 30,
+});
+
+module.exports = {
+  handlePaidAdsSegment,
+  handlePaidAdsResultCallback,
+};
@@ -0,0 +1,144 @@
+// pushAuth.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+  PUBSUB_PUSH_KEYS_FILE,
+  PUBSUB_PUSH_AUDIENCE,
+  PUBSUB_PUSH_SERVICE_ACCOUNT,
+  PUBSUB_PUSH_TOKEN,
+} = require('./config');
+
+/**
+ * Authentication of Pub/Sub push deliveries to the worker's POST / and of
+ * Cloud Scheduler's POST /watchdog/sweep.
+ *
+ * - OIDC: the push subscription sends "Authorization: Bearer <JWT>" signed
+ *   by Google. The JWT is checked against the public keys in
+ *   PUBSUB_PUSH_KEYS_FILE (Google's PEM certs { kid: pem } or a JWKS
+ *   { keys: [...] }), plus PUBSUB_PUSH_AUDIENCE and the push subscription's
+ *   service account (PUBSUB_PUSH_SERVICE_ACCOUNT).
+ * - Shared token (local setups): "Authorization: Bearer <PUBSUB_PUSH_TOKEN>".
+ *   The 'http' events transport sends it. Never taken from the query
+ *   string, which ends up in access logs.
+ *
+ * With neither configured, deliveries are not authenticated.
+ */
+
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+// Allowed clock difference for exp / iat
+const CLOCK_SKEW_SECONDS = 60;
+
+let keys = null; // kid -> KeyObject
+
+function loadKeys() {
+  if (keys) return keys;
+
+  const raw = JSON.parse(fs.readFileSync(PUBSUB_PUSH_KEYS_FILE, 'utf8'));
+  keys = new Map();
+  if (Array.isArray(raw.keys)) {
+    for (const jwk of raw.keys) {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  } else {
+    for (const [kid, pem] of Object.entries(raw)) {
+      keys.set(kid, new crypto.X509Certificate(pem).publicKey);
+    }
+  }
+  console.log(
+    `ℹ️ [AUTH] Loaded ${keys.size} Pub/Sub push key(s) from ${PUBSUB_PUSH_KEYS_FILE}`
+  );
+  return keys;
+}
+
+function isPushAuthEnabled() {
+  return Boolean(PUBSUB_PUSH_KEYS_FILE || PUBSUB_PUSH_TOKEN);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Returns null for a valid push JWT, otherwise why it was refused.
+ */
+function verifyPushJwt(jwt, now = Date.now()) {
+  const parts = jwt.split('.');
+  if (parts.length !== 3) return 'malformed JWT';
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (e) {
+    return 'malformed JWT';
+  }
+
+  if (header.alg !== 'RS256') return `unsupported JWT alg ${header.alg}`;
+  const key = loadKeys().get(header.kid);
+  if (!key) return `unknown JWT key id ${header.kid}`;
+
+  const signatureOk = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureOk) return 'bad JWT signature';
+
+  const nowSeconds = now / 1000;
+  if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+    return `unexpected issuer ${claims.iss}`;
+  }
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    return 'expired JWT';
+  }
+  if (claims.iat && claims.iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+    return 'JWT issued in the future';
+  }
+  if (!PUBSUB_PUSH_AUDIENCE || claims.aud !== PUBSUB_PUSH_AUDIENCE) {
+    return `unexpected audience ${claims.aud}`;
+  }
+  if (
+    !PUBSUB_PUSH_SERVICE_ACCOUNT ||
+    claims.email !== PUBSUB_PUSH_SERVICE_ACCOUNT ||
+    claims.email_verified !== true
+  ) {
+    return `unexpected service account ${claims.email}`;
+  }
+  return null;
+}
+
+function tokenMatches(token) {
+  if (!PUBSUB_PUSH_TOKEN || !token) return false;
+  const expected = Buffer.from(PUBSUB_PUSH_TOKEN);
+  const given = Buffer.from(String(token));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * Check a push request. Returns null when it may be processed, otherwise
+ * why it is refused (answered with 401).
+ */
+function authenticatePush(req) {
+  if (!isPushAuthEnabled()) return null;
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const bearer = match ? match[1].trim() : null;
+
+  if (tokenMatches(bearer)) return null;
+  if (!bearer) return 'missing bearer token';
+  if (!PUBSUB_PUSH_KEYS_FILE) return 'bad push token';
+  return verifyPushJwt(bearer);
+}
+
+module.exports = {
+  isPushAuthEnabled,
+  verifyPushJwt,
+  authenticatePush,
+};
@@ -0,0 +1,424 @@
+// report.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { buildJobDetail } = require('./jobDetail');
+const { getStage } = require('./stageRegistry');
+const { isValidWorkspaceId } = require('./apiKeys');
+
+/**
+ * The branded audit report behind GET /jobs/:jobId/report.
+ *
+ * Reports are HTML templates filled with the job detail. Placeholders are
+ * {{name}} (HTML-escaped) and {{{name}}} (inserted as is):
+ *
+ *   jobId, workspaceId, status, businessName, website, location, services,
+ *   createdAt, generatedAt   – plain values
+ *   sections                 – one <section class="segment"> per segment
+ *   incompleteNotice         – banner listing unfinished segments, or ''
+ *
+ * A workspace gets its own branding by dropping <workspaceId>.html into
+ * REPORT_TEMPLATES_DIR; every other workspace uses REPORT_TEMPLATE_FILE.
+ * Segments that aren't completed keep their section, marked with an
+ * "In progress" or "Unavailable" badge (class segment--incomplete).
+ *
+ * PDFs are the same HTML printed by a Gotenberg-compatible service
+ * (REPORT_PDF_RENDERER_URL, e.g. http://gotenberg:3000/forms/chromium/convert/html).
+ */
+
+// 🔧 default report template, and a directory of per-workspace ones
+const REPORT_TEMPLATE_FILE =
+  process.env.REPORT_TEMPLATE_FILE ||
+  path.join(__dirname, 'reportTemplate.html');
+const REPORT_TEMPLATES_DIR = process.env.REPORT_TEMPLATES_DIR || null;
+
+// 🔧 HTML -> PDF endpoint (multipart upload of index.html); PDFs are
+// unavailable while it is unset
+const REPORT_PDF_RENDERER_URL = process.env.REPORT_PDF_RENDERER_URL || null;
+const REPORT_PDF_TIMEOUT_MS = Number(
+  process.env.REPORT_PDF_TIMEOUT_MS || 30000
+);
+
+const REPORT_FORMATS = ['html', 'pdf'];
+
+// The summary leads the report; the rest follow in segment order
+const REPORT_SEGMENT_ORDER = [
+  '10_summary',
+  '1_demographics',
+  '2_industryStats',
+  '3_leadChannelRanking',
+  '4_marketStats',
+  '5_keywords',
+  '6_seasonality',
+  '7_organicSearch',
+  '8_paidAds',
+  '9_clientInput',
+];
+
+const SEGMENT_TITLES = {
+  '1_demographics': 'Demographics',
+  '2_industryStats': 'Industry benchmarks',
+  '3_leadChannelRanking': 'Recommended lead channels',
+  '4_marketStats': 'Market opportunity',
+  '5_keywords': 'Search keywords',
+  '6_seasonality': 'Seasonality',
+  '7_organicSearch': 'Organic search: top 10 competitors',
+  '8_paidAds': 'Paid search ads',
+  '9_clientInput': 'Client questionnaire',
+  '10_summary': 'Summary',
+};
+
+// Segments left out of the job entirely get no section
+const OMITTED_STATUSES = ['not_requested', 'not_applicable'];
+
+// Result fields that repeat the report header
+const HIDDEN_RESULT_FIELDS = ['businessName', 'website', 'date', 'status'];
+
+// Longer result lists (keywords, ads, ...) are cut off in the report
+const MAX_TABLE_ROWS = 25;
+
+const templates = new Map(); // file -> template text
+
+/**
+ * Template text, or null when there is no such file. Misses aren't cached,
+ * so a workspace template added later is picked up without a restart.
+ */
+function loadTemplateFile(file) {
+  if (!templates.has(file)) {
+    if (!fs.existsSync(file)) return null;
+    templates.set(file, fs.readFileSync(file, 'utf8'));
+    console.log(`ℹ️ [REPORT] Loaded report template ${file}`);
+  }
+  return templates.get(file);
+}
+
+/**
+ * The workspace's own template when it has one, else the default.
+ */
+function loadTemplate(workspaceId) {
+  if (REPORT_TEMPLATES_DIR && isValidWorkspaceId(workspaceId)) {
+    const own = loadTemplateFile(
+      path.join(REPORT_TEMPLATES_DIR, `${workspaceId}.html`)
+    );
+    if (own !== null) return own;
+  }
+  const template = loadTemplateFile(REPORT_TEMPLATE_FILE);
+  if (template === null) {
+    throw new Error(`Report template ${REPORT_TEMPLATE_FILE} not found`);
+  }
+  return template;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replace {{name}} / {{{name}}} placeholders; unknown names render empty.
+ */
+function fillTemplate(template, values) {
+  return template.replace(
+    /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g,
+    (match, raw, escaped) => {
+      const value = values[raw || escaped];
+      if (value === undefined || value === null) return '';
+      return raw ? String(value) : escapeHtml(value);
+    }
+  );
+}
+
+// ---------- Values ----------
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    return value.length ? value.map(formatValue).join(', ') : '—';
+  }
+  if (isPlainObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+function formatMoney(value) {
+  const n = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(n)) {
+    return null;
+  }
+  return `$${Math.round(n).toLocaleString('en-US')}`;
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * "median_income_households" / "topChannelScore" -> "Median income households"
+ */
+function labelFor(key) {
+  const words = String(key)
+    .replace(/_no$/, '')
+    .replace(/_/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function cell(value) {
+  return escapeHtml(formatValue(value));
+}
+
+// ---------- HTML building blocks ----------
+
+/**
+ * Two-column table of [label, value] pairs.
+ */
+function renderFields(pairs) {
+  if (!pairs.length) return '';
+  const rows = pairs
+    .map(
+      ([label, value]) =>
+        `<tr><th scope="row">${escapeHtml(label)}</th><td>${cell(
+          value
+        )}</td></tr>`
+    )
+    .join('');
+  return `<table class="fields">${rows}</table>`;
+}
+
+/**
+ * Table of objects; `columns` is [[key, label]], by default every key seen.
+ */
+function renderTable(rows, columns = null) {
+  if (!rows.length) return '<p class="empty">No data.</p>';
+  const cols =
+    columns ||
+    [...new Set(rows.flatMap((row) => Object.keys(row || {})))].map((key) => [
+      key,
+      labelFor(key),
+    ]);
+
+  const head = cols.map(([, label]) => `<th>${escapeHtml(label)}</th>`);
+  const body = rows
+    .slice(0, MAX_TABLE_ROWS)
+    .map(
+      (row) =>
+        `<tr>${cols
+          .map(([key]) => `<td>${cell((row || {})[key])}</td>`)
+          .join('')}</tr>`
+    );
+  const more =
+    rows.length > MAX_TABLE_ROWS
+      ? `<p class="more">…and ${rows.length - MAX_TABLE_ROWS} more</p>`
+      : '';
+  return `<table><thead><tr>${head.join(
+    ''
+  )}</tr></thead><tbody>${body.join('')}</tbody></table>${more}`;
+}
+
+// ---------- Segment sections ----------
+
+function renderDemographics(result) {
+  const male = result.male_percentage;
+  const female = result.female_percentage;
+  const genderSplit =
+    male === null && female === null
+      ? null
+      : `${formatValue(male)}% male / ${formatValue(female)}% female`;
+
+  return renderFields([
+    ['Population', result.population_no],
+    ['Households', result.households_no],
+    ['Median age', result.median_age],
+    ['Median household income', formatMoney(result.median_income_households)],
+    ['Median family income', formatMoney(result.median_income_families)],
+    ['Gender split', genderSplit],
+  ]);
+}
+
+function renderOrganicSearch(result) {
+  const rankings = result.rankings || [];
+  if (!rankings.length) {
+    return '<p class="empty">No organic results were returned for this search.</p>';
+  }
+  return renderTable(rankings.slice(0, 10), [
+    ['rank', '#'],
+    ['name', 'Business'],
+    ['url', 'Website'],
+  ]);
+}
+
+function renderSummary(result) {
+  const findings = result.findings || [];
+  const recommendations = result.recommendations || [];
+
+  return [
+    `<p class="score">${cell(result.overallScore)}<small> / 100</small></p>`,
+    renderFields(
+      Object.entries(result.scores || {}).map(([key, value]) => [
+        labelFor(key),
+        value,
+      ])
+    ),
+    findings.length
+      ? `<h3>Findings</h3><ul>${findings
+          .map((f) => `<li>${escapeHtml(f.text)}</li>`)
+          .join('')}</ul>`
+      : '',
+    recommendations.length
+      ? `<h3>Recommendations</h3><ol>${recommendations
+          .map(
+            (r) =>
+              `<li><strong>${escapeHtml(
+                labelFor(r.priority || '')
+              )}</strong> ${escapeHtml(r.text)}</li>`
+          )
+          .join('')}</ol>`
+      : '',
+  ].join('');
+}
+
+/**
+ * Any other result: its plain fields as a table, then one sub-table per
+ * list or object field.
+ */
+function renderGenericResult(result) {
+  const pairs = [];
+  const blocks = [];
+  for (const [key, value] of Object.entries(result)) {
+    if (HIDDEN_RESULT_FIELDS.includes(key)) continue;
+
+    if (Array.isArray(value) && value.some(isPlainObject)) {
+      blocks.push(`<h3>${escapeHtml(labelFor(key))}</h3>${renderTable(value)}`);
+    } else if (isPlainObject(value)) {
+      blocks.push(
+        `<h3>${escapeHtml(labelFor(key))}</h3>${renderFields(
+          Object.entries(value).map(([k, v]) => [labelFor(k), v])
+        )}`
+      );
+    } else {
+      pairs.push([labelFor(key), value]);
+    }
+  }
+  return renderFields(pairs) + blocks.join('');
+}
+
+const SEGMENT_RENDERERS = {
+  '1_demographics': renderDemographics,
+  '7_organicSearch': renderOrganicSearch,
+  '10_summary': renderSummary,
+};
+
+function isComplete(entry) {
+  return entry.status === 'completed' && Boolean(entry.result);
+}
+
+function renderSection(segment, entry) {
+  const title = escapeHtml(SEGMENT_TITLES[segment] || labelFor(segment));
+
+  if (isComplete(entry)) {
+    const render = SEGMENT_RENDERERS[segment] || renderGenericResult;
+    return `<section class="segment" id="${segment}"><h2>${title}</h2>${render(
+      entry.result
+    )}</section>`;
+  }
+
+  const inProgress = ['queued', 'pending'].includes(entry.status);
+  const badge = inProgress
+    ? '<span class="badge badge--pending">In progress</span>'
+    : '<span class="badge badge--unavailable">Unavailable</span>';
+  const note = inProgress
+    ? 'This section is not complete yet. It will be filled in once its data is ready.'
+    : `This section could not be completed${
+        entry.reason ? ` (${entry.reason})` : ''
+      }.`;
+  return `<section class="segment segment--incomplete" id="${segment}" data-status="${escapeHtml(
+    entry.status
+  )}"><h2>${title}${badge}</h2><p>${escapeHtml(note)}</p></section>`;
+}
+
+/**
+ * The report for `job` as an HTML document.
+ */
+async function renderReportHtml(job, now = new Date()) {
+  const detail = await buildJobDetail(job);
+
+  const sections = [];
+  const incomplete = [];
+  for (const segment of REPORT_SEGMENT_ORDER) {
+    const entry = detail.segments[segment];
+    if (!entry || !getStage(segment)) continue; // segment disabled
+    if (OMITTED_STATUSES.includes(entry.status)) continue;
+
+    if (!isComplete(entry)) incomplete.push(SEGMENT_TITLES[segment]);
+    sections.push(renderSection(segment, entry));
+  }
+
+  const incompleteNotice = incomplete.length
+    ? `<div class="notice"><strong>This report is incomplete.</strong> Not available yet: ${escapeHtml(
+        incomplete.join(', ')
+      )}.</div>`
+    : '';
+
+  const { input } = detail;
+  return fillTemplate(loadTemplate(detail.workspaceId), {
+    jobId: detail.jobId,
+    workspaceId: detail.workspaceId,
+    status: detail.status,
+    businessName: input.business.name || 'Your business',
+    website: input.business.website,
+    location: input.location,
+    services: input.services.join(', '),
+    createdAt: formatDate(detail.createdAt),
+    generatedAt: formatDate(now.toISOString()),
+    sections: sections.join('\n'),
+    incompleteNotice,
+  });
+}
+
+function isPdfRenderingEnabled() {
+  return Boolean(REPORT_PDF_RENDERER_URL);
+}
+
+/**
+ * Print report HTML to a PDF Buffer via REPORT_PDF_RENDERER_URL.
+ */
+async function renderReportPdf(html) {
+  const form = new FormData();
+  form.append('files', new Blob([html], { type: 'text/html' }), 'index.html');
+
+  const response = await axios.post(REPORT_PDF_RENDERER_URL, form, {
+    responseType: 'arraybuffer',
+    timeout: REPORT_PDF_TIMEOUT_MS,
+  });
+  return Buffer.from(response.data);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  renderReportHtml,
+  isPdfRenderingEnabled,
+  renderReportPdf,
+};
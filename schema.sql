@@ -0,0 +1,287 @@
+-- schema.sql
+-- BigQuery DDL for the tables the BigQuery job store (jobStore.js) expects
+-- beyond the original client_audits_jobs, 1_demographics, 1_demographicJobs
+-- and 7_organicSearch_Jobs tables. Run once per project. Job and result
+-- tables live in the BQ_DATASET_ID dataset (Client_audits by default),
+-- reference tables in BQ_DATA_DATASET_ID (Client_audits_data by default).
+-- Every statement is safe to re-run.
+
+-- === client_audits_jobs: new columns ===
+
+-- Per-segment bookkeeping as a JSON string, keyed by status column:
+-- { "<statusColumn>": { reason, updatedAt, attempt, publishedAt, ... } }.
+-- NULL reads as {}, so existing rows need no backfill.
+ALTER TABLE `Client_audits.client_audits_jobs`
+  ADD COLUMN IF NOT EXISTS segmentMeta STRING;
+
+-- Owning workspace (see apiKeys.js). Jobs created before API keys have
+-- none and are only visible to admin keys until backfilled, e.g.:
+--   UPDATE `Client_audits.client_audits_jobs`
+--   SET workspaceId = 'default' WHERE workspaceId IS NULL;
+ALTER TABLE `Client_audits.client_audits_jobs`
+  ADD COLUMN IF NOT EXISTS workspaceId STRING;
+
+-- === client_audits_api_keys (API_KEYS_TABLE_ID) ===
+
+-- keyHash is the hex sha256 of the key; the key itself is never stored.
+-- role is 'member' or 'admin'; revokedAt is set once by DELETE
+-- /admin/api-keys/:keyId.
+CREATE TABLE IF NOT EXISTS `Client_audits.client_audits_api_keys` (
+  keyId STRING NOT NULL,
+  keyHash STRING NOT NULL,
+  workspaceId STRING NOT NULL,
+  role STRING NOT NULL,
+  name STRING,
+  createdAt TIMESTAMP NOT NULL,
+  revokedAt TIMESTAMP
+)
+CLUSTER BY keyHash;
+
+-- === client_audits_idempotency (IDEMPOTENCY_TABLE_ID) ===
+
+-- One record per POST /jobs Idempotency-Key, stored as "<workspaceId>:<key>"
+-- and live until expiresAt (IDEMPOTENCY_TTL_HOURS after creation). Expired
+-- records are overwritten when the key is reused.
+CREATE TABLE IF NOT EXISTS `Client_audits.client_audits_idempotency` (
+  idempotencyKey STRING NOT NULL,
+  requestHash STRING NOT NULL,
+  jobId STRING NOT NULL,
+  createdAt TIMESTAMP NOT NULL,
+  expiresAt TIMESTAMP NOT NULL
+)
+CLUSTER BY idempotencyKey;
+
+-- === 8_paidAds_Jobs (paidAds.js) ===
+
+-- Seeded with status 'pending' before the n8n webhook; the callback fills
+-- up to 10 ads (empty slots NULL) and sets status 'completed'.
+CREATE TABLE IF NOT EXISTS `Client_audits.8_paidAds_Jobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  website STRING,
+  date TIMESTAMP,
+  status STRING,
+  ad1Advertiser STRING,
+  ad1Copy STRING,
+  ad1DisplayUrl STRING,
+  ad1Position INT64,
+  ad2Advertiser STRING,
+  ad2Copy STRING,
+  ad2DisplayUrl STRING,
+  ad2Position INT64,
+  ad3Advertiser STRING,
+  ad3Copy STRING,
+  ad3DisplayUrl STRING,
+  ad3Position INT64,
+  ad4Advertiser STRING,
+  ad4Copy STRING,
+  ad4DisplayUrl STRING,
+  ad4Position INT64,
+  ad5Advertiser STRING,
+  ad5Copy STRING,
+  ad5DisplayUrl STRING,
+  ad5Position INT64,
+  ad6Advertiser STRING,
+  ad6Copy STRING,
+  ad6DisplayUrl STRING,
+  ad6Position INT64,
+  ad7Advertiser STRING,
+  ad7Copy STRING,
+  ad7DisplayUrl STRING,
+  ad7Position INT64,
+  ad8Advertiser STRING,
+  ad8Copy STRING,
+  ad8DisplayUrl STRING,
+  ad8Position INT64,
+  ad9Advertiser STRING,
+  ad9Copy STRING,
+  ad9DisplayUrl STRING,
+  ad9Position INT64,
+  ad10Advertiser STRING,
+  ad10Copy STRING,
+  ad10DisplayUrl STRING,
+  ad10Position INT64,
+  adsCount INT64
+)
+CLUSTER BY jobId;
+
+-- === 2_industryStatsJobs (industryStats.js) ===
+
+-- Benchmarks averaged across the job's matched services. The *Services and
+-- benchmarks columns are JSON strings; status is 'completed' or 'no_match'.
+CREATE TABLE IF NOT EXISTS `Client_audits.2_industryStatsJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  avg_ticket_size FLOAT64,
+  close_rate FLOAT64,
+  marketing_spend_pct FLOAT64,
+  matchedServices STRING,
+  unmatchedServices STRING,
+  benchmarks STRING
+)
+CLUSTER BY jobId;
+
+-- === 2_industryStats (reference, Client_audits_data) ===
+
+-- One row per service, keyed by the lowercased service name (e.g.
+-- 'roofing'). close_rate and marketing_spend_pct are fractions (0.3 = 30%).
+CREATE TABLE IF NOT EXISTS `Client_audits_data.2_industryStats` (
+  service STRING NOT NULL,
+  avg_ticket_size FLOAT64,
+  close_rate FLOAT64,
+  marketing_spend_pct FLOAT64
+)
+CLUSTER BY service;
+
+-- === 3_leadChannelRankingJobs (leadChannelRanking.js) ===
+
+-- Channel scores from leadChannelModel.json (modelVersion); rankings and
+-- inputs are JSON strings.
+CREATE TABLE IF NOT EXISTS `Client_audits.3_leadChannelRankingJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  modelVersion STRING,
+  topChannel STRING,
+  topChannelScore FLOAT64,
+  rankings STRING,
+  inputs STRING
+)
+CLUSTER BY jobId;
+
+-- === 4_marketStatsJobs (marketStats.js) ===
+
+-- Market totals across the job's services; serviceMarkets is a JSON string
+-- with the per-service breakdown.
+CREATE TABLE IF NOT EXISTS `Client_audits.4_marketStatsJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  location STRING,
+  households_no INT64,
+  households_needing INT64,
+  competitor_count INT64,
+  revenue_opportunity FLOAT64,
+  serviceMarkets STRING
+)
+CLUSTER BY jobId;
+
+-- === 4_competitorCounts (reference, Client_audits_data) ===
+
+-- One row per location ("Austin, TX", as jobs store it) and lowercased
+-- service. annual_need_rate is the share of households that buy the service
+-- in a year; NULL falls back to MARKET_DEFAULT_ANNUAL_NEED_RATE.
+CREATE TABLE IF NOT EXISTS `Client_audits_data.4_competitorCounts` (
+  location STRING NOT NULL,
+  service STRING NOT NULL,
+  competitor_count INT64,
+  annual_need_rate FLOAT64
+)
+CLUSTER BY location, service;
+
+-- === 5_keywordsJobs (keywords.js) ===
+
+-- The job's keyword set with metrics from KEYWORD_PROVIDER (provider);
+-- keywords is a JSON string with each keyword and its metrics.
+CREATE TABLE IF NOT EXISTS `Client_audits.5_keywordsJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  location STRING,
+  provider STRING,
+  keywordCount INT64,
+  totalVolume INT64,
+  avgCpc FLOAT64,
+  keywords STRING
+)
+CLUSTER BY jobId;
+
+-- === 5_keywordMetrics (reference, Client_audits_data) ===
+
+-- One row per lowercased keyword and location ("Austin, TX"), read by the
+-- reference keyword provider (keywordProviders.js).
+CREATE TABLE IF NOT EXISTS `Client_audits_data.5_keywordMetrics` (
+  keyword STRING NOT NULL,
+  location STRING NOT NULL,
+  volume INT64,
+  competition FLOAT64,
+  cpc FLOAT64
+)
+CLUSTER BY location, keyword;
+
+-- === 6_seasonalityJobs (seasonality.js) ===
+
+-- Monthly demand curves (yearly average 100). All but the scalar columns
+-- are JSON strings; status is 'completed' or 'no_match'.
+CREATE TABLE IF NOT EXISTS `Client_audits.6_seasonalityJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  location STRING,
+  peakMonths STRING,
+  troughMonths STRING,
+  combinedCurve STRING,
+  curves STRING,
+  unmatchedServices STRING
+)
+CLUSTER BY jobId;
+
+-- === 6_seasonality (reference, Client_audits_data) ===
+
+-- One row per lowercased service, location and month (1-12). A service
+-- needs all 12 months under the job's location, or else under
+-- SEASONALITY_FALLBACK_LOCATION ('US'). demand_index is on any scale.
+CREATE TABLE IF NOT EXISTS `Client_audits_data.6_seasonality` (
+  service STRING NOT NULL,
+  location STRING NOT NULL,
+  month INT64 NOT NULL,
+  demand_index FLOAT64
+)
+CLUSTER BY service, location;
+
+-- === 9_clientInputJobs (clientInput.js) ===
+
+-- Questionnaire answers (clientInputSchema.json) as a JSON string, plus one
+-- column per question typed from its answer type ('multi' is a JSON array).
+-- A question added to the questionnaire needs its column added here too.
+CREATE TABLE IF NOT EXISTS `Client_audits.9_clientInputJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  schemaVersion STRING,
+  submittedAt TIMESTAMP,
+  answers STRING,
+  marketingChannels STRING,
+  monthlyLeads INT64,
+  closeRatePct FLOAT64,
+  avgJobValue FLOAT64,
+  leadTracking STRING,
+  painPoints STRING
+)
+CLUSTER BY jobId;
+
+-- === 10_summaryJobs (summary.js) ===
+
+-- The rule-based audit summary; all but the scalar columns are JSON
+-- strings. incompleteSegments lists the segments that ended failed or
+-- skipped, with their reason.
+CREATE TABLE IF NOT EXISTS `Client_audits.10_summaryJobs` (
+  jobId STRING NOT NULL,
+  businessName STRING,
+  date TIMESTAMP,
+  status STRING,
+  services STRING,
+  overallScore FLOAT64,
+  scores STRING,
+  findings STRING,
+  recommendations STRING,
+  incompleteSegments STRING
+)
+CLUSTER BY jobId;
@@ -0,0 +1,267 @@
+// seasonality.js
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage } = require('./stageRegistry');
+const { parseServices, segmentSkipReason } = require('./jobHelpers');
+
+const SEASONALITY_SOURCE_TABLE = '6_seasonality';
+const SEASONALITY_TARGET_TABLE = '6_seasonalityJobs';
+
+// 🔧 reference rows under this location are used when the job's own location
+// has no curve for a service
+const SEASONALITY_FALLBACK_LOCATION =
+  process.env.SEASONALITY_FALLBACK_LOCATION || 'US';
+
+// 🔧 index points above/below the average (100) that make a peak/trough month
+const SEASONALITY_PEAK_THRESHOLD = Number(
+  process.env.SEASONALITY_PEAK_THRESHOLD || 15
+);
+
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+
+function serviceKey(service) {
+  return String(service || '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Reference rows ({ service, location, month 1–12, demand_index }) for one
+ * service/location -> 12 values rescaled so the yearly average is 100.
+ * Returns null unless all 12 months are present.
+ */
+function toDemandCurve(rows) {
+  const raw = new Array(12).fill(null);
+  for (const row of rows) {
+    const month = Number(row.month);
+    const value = Number(row.demand_index);
+    if (month >= 1 && month <= 12 && Number.isFinite(value)) {
+      raw[month - 1] = value;
+    }
+  }
+  if (raw.some((v) => v === null)) return null;
+
+  const mean = raw.reduce((sum, v) => sum + v, 0) / 12;
+  if (!mean) return null;
+  return raw.map((v) => Math.round((v / mean) * 1000) / 10);
+}
+
+/**
+ * Peak/trough months of a curve. The single highest/lowest month always
+ * counts, plus any month past the threshold.
+ */
+function flagMonths(curve) {
+  const max = Math.max(...curve);
+  const min = Math.min(...curve);
+  const peakMonths = [];
+  const troughMonths = [];
+
+  curve.forEach((value, i) => {
+    if (value === max || value >= 100 + SEASONALITY_PEAK_THRESHOLD) {
+      peakMonths.push(MONTHS[i]);
+    }
+    if (value === min || value <= 100 - SEASONALITY_PEAK_THRESHOLD) {
+      troughMonths.push(MONTHS[i]);
+    }
+  });
+
+  return { peakMonths, troughMonths };
+}
+
+async function handleSeasonalitySegment(jobId, event = {}) {
+  console.log(`▶️ [SEASON] Starting seasonality processing for job ${jobId}`);
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ [SEASON] No job row found for jobId=${jobId}, skipping.`);
+    return;
+  }
+
+  const { location, businessName, createdAt, services } = job;
+  const seasonalityStatus = job['6_seasonality_Status'];
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '6_seasonality_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [SEASON] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  const servicesArr = parseServices(services);
+
+  console.log(
+    `ℹ️ [SEASON] Job ${jobId} location = "${location}", services = ${JSON.stringify(
+      servicesArr
+    )}, seasonalityStatus = ${seasonalityStatus}`
+  );
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '6_seasonality_Status', 'pending');
+
+  // Step 2: load monthly rows for all services (job location + fallback)
+  let rows;
+  try {
+    rows = servicesArr.length
+      ? await store.queryReference(SEASONALITY_SOURCE_TABLE, {
+          service: servicesArr.map(serviceKey),
+          location: [location, SEASONALITY_FALLBACK_LOCATION],
+        })
+      : [];
+  } catch (err) {
+    console.error(
+      `❌ [SEASON] Reference lookup FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(
+      jobId,
+      '6_seasonality_Status',
+      'failed',
+      `seasonality lookup failed: ${err.message || err}`
+    );
+    return;
+  }
+
+  // Step 3: one curve per service, preferring the job's own location
+  const curves = [];
+  const unmatched = [];
+  for (const service of servicesArr) {
+    const key = serviceKey(service);
+    const forService = rows.filter((r) => serviceKey(r.service) === key);
+
+    let source = location;
+    let curve = toDemandCurve(
+      forService.filter((r) => r.location === location)
+    );
+    if (!curve) {
+      source = SEASONALITY_FALLBACK_LOCATION;
+      curve = toDemandCurve(
+        forService.filter((r) => r.location === SEASONALITY_FALLBACK_LOCATION)
+      );
+    }
+
+    if (curve) {
+      curves.push({ service, source, curve, ...flagMonths(curve) });
+    } else {
+      unmatched.push(service);
+    }
+  }
+
+  const createdAtTs = createdAt?.value || createdAt || null;
+
+  // No curve for any of the job's services: record it and skip the segment
+  if (!curves.length) {
+    const reason = servicesArr.length
+      ? `no seasonality data for services ${JSON.stringify(servicesArr)}`
+      : 'job has no services';
+    console.warn(`⚠️ [SEASON] ${reason} (job ${jobId}), marking skipped.`);
+
+    // The no_match row is only a record; skip the segment even without it
+    try {
+      await store.upsertSegmentResult(
+        SEASONALITY_TARGET_TABLE,
+        jobId,
+        {
+          businessName: businessName || null,
+          date: createdAtTs,
+          location: location || null,
+          curves: JSON.stringify([]),
+          unmatchedServices: JSON.stringify(unmatched),
+          status: 'no_match',
+        },
+        { businessName: 'STRING', date: 'TIMESTAMP', location: 'STRING' }
+      );
+    } catch (err) {
+      console.error(
+        `❌ [SEASON] no_match MERGE FAILED for job ${jobId} into ${SEASONALITY_TARGET_TABLE}:`,
+        err && err.errors ? err.errors : err
+      );
+    }
+    await markSegmentStatus(jobId, '6_seasonality_Status', 'skipped', reason);
+    return;
+  }
+
+  // Business-wide curve: average of the per-service curves
+  const combined = MONTHS.map(
+    (_, i) =>
+      Math.round(
+        (curves.reduce((sum, c) => sum + c.curve[i], 0) / curves.length) * 10
+      ) / 10
+  );
+  const { peakMonths, troughMonths } = flagMonths(combined);
+
+  console.log(
+    `ℹ️ [SEASON] Step 4 storing seasonality for job ${jobId}: matched=${curves.length}, unmatched=${unmatched.length}, peak=${peakMonths.join(
+      '/'
+    )}, trough=${troughMonths.join('/')}`
+  );
+
+  // Step 4: MERGE into 6_seasonalityJobs
+  try {
+    await store.upsertSegmentResult(
+      SEASONALITY_TARGET_TABLE,
+      jobId,
+      {
+        businessName: businessName || null,
+        date: createdAtTs,
+        location: location || null,
+        peakMonths: JSON.stringify(peakMonths),
+        troughMonths: JSON.stringify(troughMonths),
+        combinedCurve: JSON.stringify(combined),
+        curves: JSON.stringify(curves),
+        unmatchedServices: JSON.stringify(unmatched),
+        status: 'completed',
+      },
+      { businessName: 'STRING', date: 'TIMESTAMP', location: 'STRING' }
+    );
+
+    console.log(
+      `✅ [SEASON] MERGE completed for job ${jobId} into ${SEASONALITY_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [SEASON] MERGE FAILED for job ${jobId} into ${SEASONALITY_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '6_seasonality_Status', 'failed');
+    return;
+  }
+
+  // Step 5: mark completed (also recomputes main status)
+  await markSegmentStatus(jobId, '6_seasonality_Status', 'completed');
+}
+
+registerStage({
+  stage: '6_seasonality',
+  segment: '6_seasonality',
+  statusColumn: '6_seasonality_Status',
+  resultTable: SEASONALITY_TARGET_TABLE,
+  resultJsonColumns: [
+    'peakMonths',
+    'troughMonths',
+    'combinedCurve',
+    'curves',
+    'unmatchedServices',
+  ],
+  dependsOn: [],
+  handler: handleSeasonalitySegment,
+});
+
+module.exports = {
+  handleSeasonalitySegment,
+  toDemandCurve,
+};
@@ -0,0 +1,181 @@
+// spreadsheet.js
+'use strict';
+
+const ExcelJS = require('exceljs');
+
+/**
+ * Streaming CSV / XLSX writers for the export endpoints.
+ *
+ *   const sheet = createSheetWriter('xlsx', res, { sheetName: 'Jobs' });
+ *   await sheet.writeHeader(columns);
+ *   await sheet.writeRows(rows);   // arrays of values, as often as needed
+ *   await sheet.end();
+ *
+ * Every call writes straight to `out` (waiting for 'drain' when it is
+ * full), so nothing but the current batch of rows is held in memory.
+ *
+ * XLSX is a single-sheet workbook streamed by ExcelJS, with inline strings
+ * (no shared-strings table to keep in memory).
+ */
+
+const SHEET_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+  },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+// Excel refuses longer cell text
+const MAX_CELL_LENGTH = 32767;
+
+function waitForDrain(out) {
+  return new Promise((resolve) => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+}
+
+async function write(out, chunk) {
+  if (!out.write(chunk)) await waitForDrain(out);
+}
+
+/**
+ * Store value -> plain cell value (string, number, boolean or null).
+ */
+function cellValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    // BigQuery TIMESTAMP / DATE wrappers
+    if ('value' in value) return cellValue(value.value);
+    if (
+      Array.isArray(value) ||
+      Object.getPrototypeOf(value) === Object.prototype
+    ) {
+      return JSON.stringify(value);
+    }
+    return String(value); // e.g. BigQuery NUMERIC (Big)
+  }
+  return value;
+}
+
+// ---------- CSV ----------
+
+// Text a spreadsheet app would run as a formula. A leading +/- is fine on a
+// plain number, e.g. an E.164 phone number (+15125550100).
+function looksLikeFormula(text) {
+  return /^[=@\t\r]/.test(text) || /^[+-](?!\d+(\.\d+)?$)/.test(text);
+}
+
+function csvCell(value) {
+  const v = cellValue(value);
+  if (v === null) return '';
+  let text = String(v);
+  if (typeof v === 'string' && looksLikeFormula(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+function createCsvWriter(out) {
+  return {
+    writeHeader: (columns) => write(out, csvLine(columns)),
+    writeRows: async (rows) => {
+      if (rows.length) await write(out, rows.map(csvLine).join(''));
+    },
+    end: async () => {
+      out.end();
+    },
+  };
+}
+
+// ---------- XLSX ----------
+
+// XML 1.0 has no way to write these, so they are dropped from cell text
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+/**
+ * Sheet names: at most 31 characters, none of : \ / ? * [ ]
+ */
+function safeSheetName(name) {
+  return (
+    String(name)
+      .replace(/[:\\/?*[\]]/g, '_')
+      .slice(0, 31) || 'Sheet1'
+  );
+}
+
+function xlsxCell(value) {
+  const v = cellValue(value);
+  if (v === null || typeof v === 'boolean') return v;
+  if (typeof v === 'number' && Number.isFinite(v)) return v;
+  return String(v).replace(INVALID_XML_CHARS, '').slice(0, MAX_CELL_LENGTH);
+}
+
+// Resolves once `out` is closed, e.g. when the client went away mid-download
+function whenClosed(out) {
+  return new Promise((resolve) => {
+    if (out.destroyed) resolve();
+    else out.once('close', resolve);
+  });
+}
+
+/**
+ * One-sheet workbook written with ExcelJS's streaming writer: rows are
+ * committed as they come and zipped straight into `out`.
+ */
+function createXlsxWriter(out, { sheetName = 'Sheet1' } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: out,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+  // Header row frozen at the top
+  const sheet = workbook.addWorksheet(safeSheetName(sheetName), {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+
+  async function addRows(rows, font) {
+    for (const values of rows) {
+      const row = sheet.addRow(values.map(xlsxCell));
+      if (font) row.font = font;
+      row.commit();
+    }
+    if (out.writableNeedDrain) await waitForDrain(out);
+  }
+
+  return {
+    writeHeader: (columns) => addRows([columns], { bold: true }),
+    writeRows: (rows) => addRows(rows),
+    async end() {
+      sheet.commit();
+      await Promise.race([workbook.commit(), whenClosed(out)]);
+    },
+  };
+}
+
+/**
+ * Writer for `format` ('csv' | 'xlsx'); options.sheetName names the XLSX sheet.
+ */
+function createSheetWriter(format, out, options = {}) {
+  if (format === 'xlsx') return createXlsxWriter(out, options);
+  if (format === 'csv') return createCsvWriter(out);
+  throw new Error(`Unknown sheet format: ${format}`);
+}
+
+module.exports = {
+  SHEET_FORMATS,
+  createSheetWriter,
+};
@@ -0,0 +1,107 @@
+// stageRegistry.js
+'use strict';
+
+const {
+  STAGE_PENDING_TIMEOUT_MINUTES,
+  WATCHDOG_MAX_ATTEMPTS,
+} = require('./config');
+
+/**
+ * Registry of worker stages. Each segment module registers itself:
+ *
+ *   registerStage({
+ *     stage: 'demographics',                  // Pub/Sub event "stage"
+ *     segment: '1_demographics',              // segment key
+ *     statusColumn: '1_demographics_Status',  // column on client_audits_jobs
+ *     resultTable: '1_demographicJobs',       // per-job result table (or null)
+ *     resultJsonColumns: [],                  // result columns holding JSON strings
+ *     formatResult: (row) => row,             // optional: result row -> GET /jobs/:jobId
+ *     dependsOn: [],                          // segment keys that must complete first
+ *     allowFailedDependencies: false,         // run even if a dependency failed
+ *     handler: async (jobId, event) => {},    // runs the stage
+ *     callback: { path, handler },            // optional worker callback route
+ *     pendingTimeoutMinutes: 15,              // watchdog deadline (null = none)
+ *     maxAttempts: 3,                         // watchdog retries before timed_out
+ *     timeoutStatus: 'failed',                // status once timed_out ('skipped' = optional)
+ *   });
+ *
+ * Load ./stages to get every segment registered.
+ */
+
+const stages = new Map(); // stage name -> definition
+
+function registerStage(def) {
+  const { stage, segment, statusColumn, handler } = def;
+  if (!stage || !segment || !statusColumn || typeof handler !== 'function') {
+    throw new Error(
+      `Stage definition needs stage, segment, statusColumn and handler: ${JSON.stringify(
+        def
+      )}`
+    );
+  }
+  if (stages.has(stage)) {
+    throw new Error(`Stage "${stage}" is already registered`);
+  }
+
+  stages.set(stage, {
+    resultTable: null,
+    resultJsonColumns: [],
+    formatResult: null,
+    dependsOn: [],
+    allowFailedDependencies: false,
+    callback: null,
+    pendingTimeoutMinutes: STAGE_PENDING_TIMEOUT_MINUTES,
+    maxAttempts: WATCHDOG_MAX_ATTEMPTS,
+    timeoutStatus: 'failed',
+    ...def,
+  });
+}
+
+/**
+ * Look a stage up by its event name, segment key or status column.
+ */
+function getStage(name) {
+  if (stages.has(name)) return stages.get(name);
+  for (const def of stages.values()) {
+    if (def.segment === name || def.statusColumn === name) return def;
+  }
+  return null;
+}
+
+function listStages() {
+  return [...stages.values()];
+}
+
+/**
+ * Throw if dependsOn forms a cycle (those stages would never be published).
+ * Call once every stage is registered.
+ */
+function assertAcyclic() {
+  const done = new Set();
+  const visiting = [];
+
+  function visit(def) {
+    if (done.has(def.stage)) return;
+    if (visiting.includes(def.stage)) {
+      throw new Error(
+        `Stage dependency cycle: ${[...visiting, def.stage].join(' -> ')}`
+      );
+    }
+    visiting.push(def.stage);
+    for (const segment of def.dependsOn) {
+      const dep = getStage(segment);
+      if (dep) visit(dep);
+    }
+    visiting.pop();
+    done.add(def.stage);
+  }
+
+  for (const def of stages.values()) visit(def);
+}
+
+module.exports = {
+  registerStage,
+  getStage,
+  listStages,
+  assertAcyclic,
+};
@@ -0,0 +1,22 @@
+// stages.js
+'use strict';
+
+// Every segment module registers its stage when loaded.
+require('./demographics');
+require('./industryStats');
+require('./leadChannelRanking');
+require('./marketStats');
+require('./keywords');
+require('./seasonality');
+require('./clientInput');
+require('./organicSearch');
+require('./paidAds');
+require('./summary');
+
+// Publishes stages with dependsOn once their dependencies complete.
+require('./orchestrator');
+
+const registry = require('./stageRegistry');
+registry.assertAcyclic();
+
+module.exports = registry;
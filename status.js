@@ -1,140 +1,166 @@
 // status.js
-const { BigQuery } = require('@google-cloud/bigquery');
+'use strict';
 
-const bigquery = new BigQuery();
+const { getJobStore } = require('./jobStore');
+const { getStage } = require('./stageRegistry');
 
-const PROJECT_ID = 'ghs-construction-1734441714520';
-const JOBS_TABLE = `${PROJECT_ID}.Client_audits.client_audits_jobs`;
+/**
+ * The one place that decides a job's overall status.
+ */
+
+// Segment status columns on client_audits_jobs, in segment order (1–10)
+const SEGMENT_STATUS_COLUMNS = [
+  '1_demographics_Status',
+  '2_industryStats_Status',
+  '3_leadChannelRanking_Status',
+  '4_marketStats_Status',
+  '5_keywords_Status',
+  '6_seasonality_Status',
+  '7_organicSearch_Status',
+  '8_paidAds_Status',
+  '9_clientInput_Status',
+  '10_summary_Status',
+];
+
+// Segment states that are finished without producing anything; they never
+// hold a job back from 'completed'. 'not_requested' = left out of the job's
+// `segments` selection.
+const NEUTRAL_STATUSES = ['skipped', 'not_applicable', 'not_requested'];
+
+// States a segment cannot leave on its own.
+const TERMINAL_STATUSES = ['completed', 'failed', ...NEUTRAL_STATUSES];
+
+/**
+ * A segment is enabled when a worker stage is registered for it.
+ * Disabled segments are stored as 'not_applicable'.
+ */
+function isSegmentEnabled(statusColumn) {
+  return Boolean(getStage(statusColumn));
+}
+
+function enabledSegmentColumns() {
+  return SEGMENT_STATUS_COLUMNS.filter(isSegmentEnabled);
+}
+
+/**
+ * Overall job status from a list of segment statuses. Precedence:
+ *
+ * 1. 'completed' if there is nothing left to run (every segment neutral)
+ * 2. 'queued'    if every remaining segment is still 'queued'
+ * 3. 'pending'   if any segment is 'queued' or 'pending' (work in flight)
+ * 4. 'failed'    if any segment 'failed' (only once everything settled)
+ * 5. 'completed' otherwise (all 'completed' or neutral)
+ *
+ * Missing/unknown values count as 'queued'.
+ */
+function computeOverallStatus(segmentStatuses) {
+  const active = segmentStatuses
+    .map((s) => s || 'queued')
+    .filter((s) => !NEUTRAL_STATUSES.includes(s));
+
+  if (!active.length) return 'completed';
+  if (active.every((s) => s === 'queued')) return 'queued';
+  if (active.some((s) => !TERMINAL_STATUSES.includes(s))) return 'pending';
+  if (active.some((s) => s === 'failed')) return 'failed';
+  return 'completed';
+}
+
+// Called as listener(jobId, segmentColumn, newStatus) after every segment
+// status change (see orchestrator.js)
+const segmentStatusListeners = [];
+
+function onSegmentStatusChange(listener) {
+  segmentStatusListeners.push(listener);
+}
 
 /**
  * Update a specific segment status column on the main job,
- * then recompute the overall job status.
+ * then recompute the overall job status (which is returned).
  *
- * segmentColumn is something like:
- *   '1_demographics_Status'
- *   '7_organicSearch_Status'
- *   '8_paidAds_Status'
+ * segmentColumn is something like '1_demographics_Status'. `reason` explains
+ * a 'skipped'/'failed' outcome and is kept in the job's segmentMeta; pass
+ * { reason, ...extra } to store extra segmentMeta fields alongside it.
  */
-async function markSegmentStatus(jobId, segmentColumn, newStatus) {
+async function markSegmentStatus(jobId, segmentColumn, newStatus, reason) {
   if (!jobId) {
     console.error('[STATUS] markSegmentStatus called without jobId');
     return;
   }
+  const meta = reason && typeof reason === 'object' ? reason : { reason };
+
   console.log(
-    `➡️ [STATUS] markSegmentStatus: setting ${segmentColumn} = '${newStatus}' for job ${jobId}`
+    `➡️ [STATUS] markSegmentStatus: setting ${segmentColumn} = '${newStatus}' for job ${jobId}${
+      meta.reason ? ` (reason: ${meta.reason})` : ''
+    }`
   );
 
-  const updateSql = `
-    UPDATE \`${JOBS_TABLE}\`
-    SET ${segmentColumn} = @newStatus
-    WHERE jobId = @jobId
-  `;
+  await getJobStore().markSegmentStatus(jobId, segmentColumn, newStatus, meta);
+
+  const overallStatus = await recomputeMainJobStatus(jobId);
 
-  await bigquery.query({
-    query: updateSql,
-    params: { jobId, newStatus },
-  });
+  for (const listener of segmentStatusListeners) {
+    try {
+      await listener(jobId, segmentColumn, newStatus);
+    } catch (err) {
+      console.error(
+        `❌ [STATUS] Segment status listener FAILED for job ${jobId}:`,
+        err.message || err
+      );
+    }
+  }
 
-  await recomputeMainJobStatus(jobId);
+  return overallStatus;
 }
 
 /**
- * Recompute the main job "status" field based on the segment columns.
- *
- * Rules (your spec):
- * - queued if ALL segmentStatuses are 'queued'
- * - pending if ANY segmentStatus is 'pending'
- * - failed if ANY segmentStatus is 'failed'
- * - completed ONLY if ALL segmentStatuses are 'completed'
- *
- * I’m interpreting priorities as:
- * - if any 'failed' => failed
- * - else if all 'queued' => queued
- * - else if all 'completed' => completed
- * - else if any 'pending' => pending
- * - else => pending (fallback)
+ * Recompute the main job "status" field from every enabled segment column.
  */
 async function recomputeMainJobStatus(jobId) {
-  console.log(
-    `➡️ [STATUS] recomputeMainJobStatus for job ${jobId}`
-  );
+  console.log(`➡️ [STATUS] recomputeMainJobStatus for job ${jobId}`);
 
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        1_demographics_Status AS demo,
-        7_organicSearch_Status AS organic,
-        8_paidAds_Status AS paid,
-        status AS currentStatus
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-    `,
-    params: { jobId },
-  });
-
-  if (!rows.length) {
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+
+  if (!job) {
     console.warn(
       `[STATUS] recomputeMainJobStatus: no job row found for jobId=${jobId}`
     );
     return;
   }
 
-  const row = rows[0];
-
-  const segments = [
-    row.demo,
-    row.organic,
-    row.paid,
-  ].filter(Boolean); // ignore null/undefined
+  const columns = enabledSegmentColumns();
+  const segments = columns.map((col) => job[col]);
+  const newStatus = computeOverallStatus(segments);
 
-  if (!segments.length) {
-    console.warn(
-      `[STATUS] recomputeMainJobStatus: no segment statuses yet for jobId=${jobId}`
-    );
-    return;
-  }
-
-  const allQueued = segments.every((s) => s === 'queued');
-  const anyFailed = segments.some((s) => s === 'failed');
-  const allCompleted = segments.every((s) => s === 'completed');
-  const anyPending = segments.some((s) => s === 'pending');
-
-  let newStatus;
-
-  if (anyFailed) {
-    newStatus = 'failed';
-  } else if (allQueued) {
-    newStatus = 'queued';
-  } else if (allCompleted) {
-    newStatus = 'completed';
-  } else if (anyPending) {
-    newStatus = 'pending';
-  } else {
-    newStatus = 'pending';
-  }
+  console.log(
+    `ℹ️ [STATUS] job ${jobId}: segments=${JSON.stringify(
+      Object.fromEntries(columns.map((col, i) => [col, segments[i]]))
+    )}, computed status=${newStatus}`
+  );
 
-  if (row.currentStatus === newStatus) {
+  if (job.status === newStatus) {
     console.log(
       `[STATUS] Job ${jobId} status already '${newStatus}', no update needed.`
     );
-    return;
+    return newStatus;
   }
 
   console.log(
-    `[STATUS] Updating main job status for ${jobId}: ${row.currentStatus} -> ${newStatus}`
+    `[STATUS] Updating main job status for ${jobId}: ${job.status} -> ${newStatus}`
   );
 
-  await bigquery.query({
-    query: `
-      UPDATE \`${JOBS_TABLE}\`
-      SET status = @newStatus
-      WHERE jobId = @jobId
-    `,
-    params: { jobId, newStatus },
-  });
+  await store.updateJobStatus(jobId, newStatus);
+  return newStatus;
 }
 
 module.exports = {
+  SEGMENT_STATUS_COLUMNS,
+  NEUTRAL_STATUSES,
+  TERMINAL_STATUSES,
+  isSegmentEnabled,
+  enabledSegmentColumns,
+  computeOverallStatus,
   markSegmentStatus,
   recomputeMainJobStatus,
+  onSegmentStatusChange,
 };
@@ -0,0 +1,458 @@
+// summary.js
+const { getJobStore } = require('./jobStore');
+const { markSegmentStatus } = require('./status');
+const { registerStage, listStages } = require('./stageRegistry');
+const {
+  parseServices,
+  getSegmentMeta,
+  segmentSkipReason,
+} = require('./jobHelpers');
+
+const SUMMARY_TARGET_TABLE = '10_summaryJobs';
+
+// Every other segment feeds the summary. Failed ones don't block it: the
+// summary lists them as missing data instead.
+const SUMMARY_DEPENDS_ON = [
+  '1_demographics',
+  '2_industryStats',
+  '3_leadChannelRanking',
+  '4_marketStats',
+  '5_keywords',
+  '6_seasonality',
+  '7_organicSearch',
+  '8_paidAds',
+  '9_clientInput',
+];
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function toNumber(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function clampScore(n) {
+  return Math.max(0, Math.min(100, Math.round(n)));
+}
+
+// Placeholder for a number the result row doesn't have
+const MISSING = '—';
+
+function count(n) {
+  return n === null ? MISSING : Math.round(n).toLocaleString('en-US');
+}
+
+function money(n) {
+  return n === null ? MISSING : `$${count(n)}`;
+}
+
+// 0.125 -> "12.5%" (to `digits` decimals)
+function percent(fraction, digits = 0) {
+  if (fraction === null) return MISSING;
+  const scale = 10 ** digits;
+  return `${Math.round(fraction * 100 * scale) / scale}%`;
+}
+
+/**
+ * "https://www.Acme.com/roofing" -> "acme.com"
+ */
+function domainOf(url) {
+  if (!url) return null;
+  try {
+    const withScheme = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    return new URL(withScheme).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Turn the per-segment result rows into the audit summary:
+ * { scores, overallScore, findings, recommendations }.
+ *
+ * `results` maps segment key -> result row (only 'completed' rows);
+ * `incomplete` lists segments that ended failed/skipped, with their reason.
+ * Scores are 0–100 and null when the data behind them is missing.
+ */
+function buildAuditSummary(job, results, incomplete = []) {
+  const findings = [];
+  const recommendations = [];
+  const scores = {
+    organicVisibility: null,
+    paidPresence: null,
+    marketOpportunity: null,
+    budgetFit: null,
+  };
+
+  const finding = (segment, text) => findings.push({ segment, text });
+  const recommend = (segment, priority, text) =>
+    recommendations.push({ segment, priority, text });
+
+  const revenue = toNumber(job.revenue);
+  const budget = toNumber(job.budget);
+  const businessDomain = domainOf(job.website);
+
+  const demos = results['1_demographics'];
+  if (demos) {
+    finding(
+      '1_demographics',
+      `${job.location}: population ${count(
+        toNumber(demos.population_no)
+      )}, ${count(
+        toNumber(demos.households_no)
+      )} households, median household income ${money(
+        toNumber(demos.median_income_households)
+      )}.`
+    );
+  }
+
+  const industry = results['2_industryStats'];
+  const industryCloseRate = industry ? toNumber(industry.close_rate) : null;
+  if (industry) {
+    const spendPct = toNumber(industry.marketing_spend_pct);
+    finding(
+      '2_industryStats',
+      `Industry benchmarks: average ticket ${money(
+        toNumber(industry.avg_ticket_size)
+      )}, close rate ${percent(industryCloseRate)}, marketing spend ${percent(
+        spendPct,
+        1
+      )} of revenue.`
+    );
+
+    if (revenue && spendPct && budget !== null) {
+      const recommendedMonthly = (revenue * spendPct) / 12;
+      scores.budgetFit = clampScore((budget / recommendedMonthly) * 100);
+      if (budget < recommendedMonthly * 0.75) {
+        recommend(
+          '2_industryStats',
+          'high',
+          `Monthly budget of ${money(budget)} is below the industry norm of about ${money(
+            recommendedMonthly
+          )} for this revenue; raise it or focus it on one channel.`
+        );
+      }
+    }
+  }
+
+  const ranking = results['3_leadChannelRanking'];
+  if (ranking) {
+    const rankings = parseJson(ranking.rankings, []);
+    if (rankings.length) {
+      finding(
+        '3_leadChannelRanking',
+        `Best-fit lead channels: ${rankings
+          .slice(0, 3)
+          .map((r) => `${r.label} (${r.score})`)
+          .join(', ')}.`
+      );
+      recommend(
+        '3_leadChannelRanking',
+        'high',
+        `Prioritise ${rankings[0].label}: ${rankings[0].rationale}.`
+      );
+    }
+  }
+
+  const market = results['4_marketStats'];
+  if (market) {
+    const needing = toNumber(market.households_needing);
+    const competitors = toNumber(market.competitor_count);
+    const opportunity = toNumber(market.revenue_opportunity);
+
+    finding(
+      '4_marketStats',
+      `About ${count(needing)} households need these services each year${
+        competitors ? `, served by ${competitors} competitors` : ''
+      }${opportunity ? ` (${money(opportunity)} market)` : ''}.`
+    );
+    if (needing && competitors) {
+      // 100+ households needing the service per competitor scores full marks
+      scores.marketOpportunity = clampScore(needing / competitors);
+    }
+    if (revenue && opportunity) {
+      finding(
+        '4_marketStats',
+        `Current revenue is ${
+          Math.round((revenue / opportunity) * 1000) / 10
+        }% of the local market.`
+      );
+    }
+  }
+
+  const keywords = results['5_keywords'];
+  const keywordList = keywords ? parseJson(keywords.keywords, []) : [];
+  const topKeyword = keywordList.find((k) => k.volume) || keywordList[0];
+  if (keywords) {
+    finding(
+      '5_keywords',
+      `${keywords.keywordCount} tracked keywords with ${count(
+        toNumber(keywords.totalVolume)
+      )} monthly searches${
+        toNumber(keywords.avgCpc) !== null
+          ? ` at an average CPC of $${toNumber(keywords.avgCpc).toFixed(2)}`
+          : ''
+      }${topKeyword ? `; top term "${topKeyword.keyword}"` : ''}.`
+    );
+  }
+
+  const seasonality = results['6_seasonality'];
+  if (seasonality) {
+    const peaks = parseJson(seasonality.peakMonths, []);
+    const troughs = parseJson(seasonality.troughMonths, []);
+    finding(
+      '6_seasonality',
+      `Demand peaks in ${peaks.join(', ')} and is lowest in ${troughs.join(
+        ', '
+      )}.`
+    );
+    if (peaks.length) {
+      recommend(
+        '6_seasonality',
+        'medium',
+        `Ramp spend up a month ahead of ${peaks[0]} and keep a maintenance budget in ${troughs.join(
+          ', '
+        )}.`
+      );
+    }
+  }
+
+  const organic = results['7_organicSearch'];
+  if (organic) {
+    let position = null;
+    for (let rank = 1; rank <= 10; rank++) {
+      const domain = domainOf(organic[`rank${rank}Url`]);
+      if (businessDomain && domain === businessDomain) {
+        position = rank;
+        break;
+      }
+    }
+    scores.organicVisibility = position ? clampScore(110 - position * 10) : 0;
+    finding(
+      '7_organicSearch',
+      position
+        ? `The business website ranks #${position} in local organic results.`
+        : 'The business website is not in the top 10 local organic results.'
+    );
+    if (!position || position > 3) {
+      recommend(
+        '7_organicSearch',
+        position ? 'medium' : 'high',
+        `Invest in local SEO${
+          topKeyword ? ` for "${topKeyword.keyword}"` : ''
+        } to reach the top 3 organic results.`
+      );
+    }
+  }
+
+  const paid = results['8_paidAds'];
+  if (paid) {
+    const adsCount = toNumber(paid.adsCount) || 0;
+    let position = null;
+    for (let n = 1; n <= adsCount; n++) {
+      if (
+        businessDomain &&
+        domainOf(paid[`ad${n}DisplayUrl`]) === businessDomain
+      ) {
+        position = toNumber(paid[`ad${n}Position`]) || n;
+        break;
+      }
+    }
+    scores.paidPresence = position ? clampScore(115 - position * 15) : 0;
+    finding(
+      '8_paidAds',
+      position
+        ? `The business runs search ads (position ${position} of ${adsCount}).`
+        : `${adsCount} competitors run search ads; the business does not.`
+    );
+    if (!position && adsCount) {
+      recommend(
+        '8_paidAds',
+        'medium',
+        'Competitors are buying these searches; test a small search campaign on the highest-intent keywords.'
+      );
+    }
+  }
+
+  const clientInput = results['9_clientInput'];
+  if (clientInput) {
+    const answers = parseJson(clientInput.answers, {});
+    if (answers.monthlyLeads !== null && answers.monthlyLeads !== undefined) {
+      finding(
+        '9_clientInput',
+        `The client reports ${answers.monthlyLeads} leads per month and a ${answers.closeRatePct}% close rate.`
+      );
+    }
+    if (
+      industryCloseRate !== null &&
+      toNumber(answers.closeRatePct) !== null &&
+      answers.closeRatePct < industryCloseRate * 100 - 5
+    ) {
+      recommend(
+        '9_clientInput',
+        'high',
+        `Close rate is below the ${Math.round(
+          industryCloseRate * 100
+        )}% industry benchmark; tighten lead follow-up before adding lead volume.`
+      );
+    }
+    if (answers.leadTracking === 'not_tracked') {
+      recommend(
+        '9_clientInput',
+        'medium',
+        'Lead sources are not tracked; add call tracking and a CRM so spend can be measured.'
+      );
+    }
+  }
+
+  for (const { segment, status, reason } of incomplete) {
+    finding(
+      segment,
+      `Segment ${segment} ${status}${reason ? `: ${reason}` : ''}; its data is missing from this audit.`
+    );
+  }
+
+  const scored = Object.values(scores).filter((s) => s !== null);
+  const overallScore = scored.length
+    ? clampScore(scored.reduce((a, b) => a + b, 0) / scored.length)
+    : null;
+
+  recommendations.sort(
+    (a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]
+  );
+
+  return { scores, overallScore, findings, recommendations };
+}
+
+async function handleSummarySegment(jobId, event = {}) {
+  console.log(`▶️ [SUMMARY] Starting summary processing for job ${jobId}`);
+
+  const store = getJobStore();
+  const job = await store.loadJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ [SUMMARY] No job row found for jobId=${jobId}, skipping.`);
+    return;
+  }
+
+  // 🔒 Idempotency guard: only run when status is "queued" (retries reset
+  // it to 'queued') and the event is not from an earlier attempt
+  const skipReason = segmentSkipReason(job, '10_summary_Status', event);
+  if (skipReason) {
+    console.log(`ℹ️ [SUMMARY] Job ${jobId} ${skipReason} – skipping.`);
+    return;
+  }
+
+  // Step 1: mark segment pending
+  await markSegmentStatus(jobId, '10_summary_Status', 'pending');
+
+  // Step 2: read every completed segment's result row
+  const results = {};
+  const incomplete = [];
+  try {
+    for (const def of listStages()) {
+      if (def.stage === '10_summary') continue;
+
+      const status = job[def.statusColumn];
+      if (status === 'not_requested') continue;
+      if (status !== 'completed') {
+        incomplete.push({
+          segment: def.segment,
+          status,
+          reason: getSegmentMeta(job, def.statusColumn).reason || null,
+        });
+        continue;
+      }
+      if (def.resultTable) {
+        results[def.segment] = await store.loadSegmentResult(
+          def.resultTable,
+          jobId
+        );
+      }
+    }
+  } catch (err) {
+    console.error(
+      `❌ [SUMMARY] Loading segment results FAILED for job ${jobId}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '10_summary_Status', 'failed');
+    return;
+  }
+
+  // Step 3: build findings, scores and recommendations
+  const summary = buildAuditSummary(job, results, incomplete);
+
+  console.log(
+    `ℹ️ [SUMMARY] Step 4 storing summary for job ${jobId}: overallScore=${summary.overallScore}, findings=${summary.findings.length}, recommendations=${summary.recommendations.length}, incomplete=${incomplete.length}`
+  );
+
+  // Step 4: MERGE into 10_summaryJobs
+  try {
+    await store.upsertSegmentResult(
+      SUMMARY_TARGET_TABLE,
+      jobId,
+      {
+        businessName: job.businessName || null,
+        date: job.createdAt?.value || job.createdAt || null,
+        services: JSON.stringify(parseServices(job.services)),
+        overallScore: summary.overallScore,
+        scores: JSON.stringify(summary.scores),
+        findings: JSON.stringify(summary.findings),
+        recommendations: JSON.stringify(summary.recommendations),
+        incompleteSegments: JSON.stringify(incomplete),
+        status: 'completed',
+      },
+      { businessName: 'STRING', date: 'TIMESTAMP', overallScore: 'FLOAT64' }
+    );
+
+    console.log(
+      `✅ [SUMMARY] MERGE completed for job ${jobId} into ${SUMMARY_TARGET_TABLE}`
+    );
+  } catch (err) {
+    console.error(
+      `❌ [SUMMARY] MERGE FAILED for job ${jobId} into ${SUMMARY_TARGET_TABLE}:`,
+      err && err.errors ? err.errors : err
+    );
+    await markSegmentStatus(jobId, '10_summary_Status', 'failed');
+    return;
+  }
+
+  // Step 5: mark completed; this is the last segment, so it finalizes the job
+  const finalStatus = await markSegmentStatus(
+    jobId,
+    '10_summary_Status',
+    'completed'
+  );
+  console.log(`🏁 [SUMMARY] Job ${jobId} finalized with status=${finalStatus}`);
+}
+
+registerStage({
+  stage: '10_summary',
+  segment: '10_summary',
+  statusColumn: '10_summary_Status',
+  resultTable: SUMMARY_TARGET_TABLE,
+  resultJsonColumns: [
+    'services',
+    'scores',
+    'findings',
+    'recommendations',
+    'incompleteSegments',
+  ],
+  dependsOn: SUMMARY_DEPENDS_ON,
+  allowFailedDependencies: true,
+  handler: handleSummarySegment,
+});
+
+module.exports = {
+  handleSummarySegment,
+  buildAuditSummary,
+};
@@ -0,0 +1,171 @@
+// test/callbackAuth.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+process.env.CALLBACK_SECRET = 'test-callback-secret';
+
+// Worker logs on stderr, as in orchestrator.test.js
+console.log = console.error;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { app } = require('../worker');
+const { getStage } = require('../stageRegistry');
+const { getJobStore } = require('../jobStore');
+const { SEGMENT_STATUS_COLUMNS } = require('../status');
+const { callbackToken, verifyCallback } = require('../callbackAuth');
+
+const PAID = getStage('8_paidAds');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Paid ads pending on `attempt`, nothing else left to run
+async function insertJob(jobId, attempt = 1) {
+  const row = {
+    jobId,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    segmentMeta: JSON.stringify({ '8_paidAds_Status': { attempt } }),
+  };
+  for (const column of SEGMENT_STATUS_COLUMNS) row[column] = 'not_requested';
+  row['8_paidAds_Status'] = 'pending';
+  await getJobStore().insertJob(row);
+}
+
+function sign(rawBody, timestamp, secret = 'test-callback-secret') {
+  const hmac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return {
+    'x-callback-timestamp': String(timestamp),
+    'x-callback-signature': `sha256=${hmac}`,
+  };
+}
+
+async function rejection(items, headers = {}) {
+  const rawBody = Buffer.from(JSON.stringify(items));
+  const result = await verifyCallback(PAID, { headers, rawBody, items });
+  return result && result.reason;
+}
+
+test('a callback with the job token of its attempt is accepted', async () => {
+  await insertJob('cb-ok');
+  const token = callbackToken('8_paidAds', 'cb-ok', 1);
+  assert.equal(
+    await rejection([{ jobId: 'cb-ok', callbackToken: token }]),
+    null
+  );
+  assert.equal(
+    await rejection([{ jobId: 'cb-ok' }], { 'x-callback-token': token }),
+    null
+  );
+});
+
+test('a missing or wrong token is rejected', async () => {
+  await insertJob('cb-token');
+  const other = callbackToken('8_paidAds', 'cb-other', 1);
+  const [attempt, expiresAt, signature] = other.split('.');
+
+  assert.equal(
+    await rejection([{ jobId: 'cb-token' }]),
+    'unsigned callback for cb-token'
+  );
+  for (const token of [
+    other, // another job's
+    callbackToken('7_organicSearch', 'cb-token', 1), // another stage's
+    `${attempt}.${Number(expiresAt) + 3600}.${signature}`, // extended
+    'not-a-token',
+  ]) {
+    assert.equal(
+      await rejection([{ jobId: 'cb-token', callbackToken: token }]),
+      'bad callback token for cb-token',
+      token
+    );
+  }
+});
+
+test('a wrong or stale signature is rejected', async () => {
+  await insertJob('cb-signed');
+  const items = [{ jobId: 'cb-signed' }];
+  const body = JSON.stringify(items);
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal(await rejection(items, sign(body, now)), null);
+  assert.equal(
+    await rejection(items, sign(body, now, 'wrong-secret')),
+    'bad signature'
+  );
+  assert.equal(
+    await rejection(items, sign('[{"jobId":"cb-other"}]', now)),
+    'bad signature'
+  );
+  assert.equal(
+    await rejection(items, sign(body, now - 10 * 60)),
+    'expired signature timestamp'
+  );
+  assert.equal(
+    await rejection(items, {
+      'x-callback-signature': sign(body, now)['x-callback-signature'],
+    }),
+    'missing or invalid X-Callback-Timestamp'
+  );
+});
+
+test('an expired token or an earlier attempt is rejected', async () => {
+  await insertJob('cb-stale', 2);
+
+  const expired = callbackToken(
+    '8_paidAds',
+    'cb-stale',
+    2,
+    Date.now() - 25 * HOUR_MS
+  );
+  assert.equal(
+    await rejection([{ jobId: 'cb-stale', callbackToken: expired }]),
+    'expired callback token for cb-stale'
+  );
+
+  const earlier = callbackToken('8_paidAds', 'cb-stale', 1);
+  assert.equal(
+    await rejection([{ jobId: 'cb-stale', callbackToken: earlier }]),
+    'replayed or stale callback for cb-stale (8_paidAds is pending, attempt 2; callback is for attempt 1)'
+  );
+});
+
+test('a rejected callback leaves the segment alone; a replay is rejected', async () => {
+  await insertJob('cb-http');
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/paid-ads-result`;
+  const post = (token) =>
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([
+        {
+          jobId: 'cb-http',
+          callbackToken: token,
+          ads: [{ advertiserName: 'Acme', position: 1 }],
+        },
+      ]),
+    });
+
+  try {
+    const bad = await post('not-a-token');
+    assert.equal(bad.status, 401);
+    assert.deepEqual(await bad.json(), { error: 'Callback rejected' });
+    let job = await getJobStore().loadJob('cb-http');
+    assert.equal(job['8_paidAds_Status'], 'pending');
+
+    const token = callbackToken('8_paidAds', 'cb-http', 1);
+    assert.equal((await post(token)).status, 200);
+    job = await getJobStore().loadJob('cb-http');
+    assert.equal(job['8_paidAds_Status'], 'completed');
+
+    assert.equal((await post(token)).status, 401);
+  } finally {
+    server.close();
+  }
+});
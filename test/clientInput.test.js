@@ -0,0 +1,58 @@
+// test/clientInput.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getJobStore } = require('../jobStore');
+const { submitClientInput } = require('../clientInput');
+
+const ANSWERS = {
+  marketingChannels: ['google_ads'],
+  monthlyLeads: 40,
+  closeRatePct: 25,
+};
+
+async function jobWithClientInput(jobId, status) {
+  const store = getJobStore();
+  await store.insertJob({
+    jobId,
+    status: 'pending',
+    businessName: 'Acme',
+    createdAt: new Date().toISOString(),
+    '9_clientInput_Status': status,
+  });
+  return store.loadJob(jobId);
+}
+
+test('answers complete a pending client input segment', async () => {
+  const job = await jobWithClientInput('ci-pending', 'pending');
+  const result = await submitClientInput(job, { answers: ANSWERS });
+
+  assert.equal(result.errors, undefined);
+  const stored = await getJobStore().loadJob('ci-pending');
+  assert.equal(stored['9_clientInput_Status'], 'completed');
+});
+
+test('answers are refused once the segment left queued/pending', async () => {
+  for (const status of [
+    'completed',
+    'failed',
+    'skipped',
+    'not_requested',
+    'not_applicable',
+  ]) {
+    const jobId = `ci-${status}`;
+    const job = await jobWithClientInput(jobId, status);
+    const result = await submitClientInput(job, { answers: ANSWERS });
+
+    assert.equal(result.httpStatus, 409, status);
+    const stored = await getJobStore().loadJob(jobId);
+    assert.equal(stored['9_clientInput_Status'], status);
+    assert.equal(
+      await getJobStore().loadSegmentResult('9_clientInputJobs', jobId),
+      null
+    );
+  }
+});
@@ -0,0 +1,108 @@
+// test/idempotency.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+
+// Request logs on stderr, as in orchestrator.test.js
+console.log = console.error;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('../index');
+const { subscribe } = require('../eventBus');
+const { createApiKey } = require('../apiKeys');
+
+// No worker here: published stages are dropped
+subscribe(async () => 204);
+
+let server;
+let baseUrl;
+const keys = {};
+
+test.before(async () => {
+  server = start(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  keys.acme = (await createApiKey({ workspaceId: 'acme' })).key;
+  keys.globex = (await createApiKey({ workspaceId: 'globex' })).key;
+});
+
+test.after(() => server.close());
+
+async function postJob(body, { key = keys.acme, idempotencyKey } = {}) {
+  const headers = {
+    Authorization: `Bearer ${key}`,
+    'Content-Type': 'application/json',
+  };
+  if (idempotencyKey !== undefined) headers['Idempotency-Key'] = idempotencyKey;
+  const res = await fetch(`${baseUrl}/jobs`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  return {
+    status: res.status,
+    replayed: res.headers.get('Idempotent-Replayed'),
+    body: await res.json(),
+  };
+}
+
+const JOB = { services: ['roofing'], location: 'Austin, TX' };
+
+test('a retry with the same body replays the original job', async () => {
+  const first = await postJob(JOB, { idempotencyKey: 'replay-1' });
+  assert.equal(first.status, 200);
+  assert.equal(first.replayed, null);
+
+  // Same request once normalized, fields in another order
+  const retry = await postJob(
+    { location: 'Austin tx', services: [' roofing '] },
+    { idempotencyKey: 'replay-1' }
+  );
+  assert.equal(retry.status, 200);
+  assert.equal(retry.replayed, 'true');
+  assert.equal(retry.body.jobId, first.body.jobId);
+
+  const fresh = await postJob(JOB);
+  assert.notEqual(fresh.body.jobId, first.body.jobId);
+});
+
+test('the same key with a different body is a 409', async () => {
+  const first = await postJob(JOB, { idempotencyKey: 'conflict-1' });
+  assert.equal(first.status, 200);
+
+  const other = await postJob(
+    { ...JOB, location: 'Dallas, TX' },
+    { idempotencyKey: 'conflict-1' }
+  );
+  assert.equal(other.status, 409);
+  assert.deepEqual(other.body, {
+    error: 'Idempotency-Key was already used with a different request body',
+    jobId: first.body.jobId,
+  });
+});
+
+test('idempotency keys are per workspace', async () => {
+  const acme = await postJob(JOB, { idempotencyKey: 'shared-1' });
+  const globex = await postJob(JOB, {
+    key: keys.globex,
+    idempotencyKey: 'shared-1',
+  });
+  assert.equal(globex.status, 200);
+  assert.equal(globex.replayed, null);
+  assert.notEqual(globex.body.jobId, acme.body.jobId);
+});
+
+test('a malformed Idempotency-Key is rejected', async () => {
+  for (const idempotencyKey of ['', 'has space', 'x'.repeat(256)]) {
+    const res = await postJob(JOB, { idempotencyKey });
+    assert.equal(res.status, 400, JSON.stringify(idempotencyKey));
+    assert.deepEqual(res.body.details, [
+      {
+        field: 'Idempotency-Key',
+        message: 'must be 1-255 printable ASCII characters',
+      },
+    ]);
+  }
+});
@@ -0,0 +1,36 @@
+// test/jobDetail.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../stages');
+const { getJobStore } = require('../jobStore');
+const { buildJobDetail } = require('../jobDetail');
+
+test('results are only loaded for completed segments', async () => {
+  const store = getJobStore();
+  const job = {
+    jobId: 'detail-1',
+    status: 'failed',
+    '1_demographics_Status': 'completed',
+    '7_organicSearch_Status': 'failed',
+    '8_paidAds_Status': 'skipped',
+  };
+  await store.insertJob(job);
+  // organic and paid ads left their pending seed rows behind
+  await store.upsertSegmentResult('1_demographicJobs', 'detail-1', {
+    population_no: 1000,
+    status: 'completed',
+  });
+  for (const table of ['7_organicSearch_Jobs', '8_paidAds_Jobs']) {
+    await store.upsertSegmentResult(table, 'detail-1', { status: 'pending' });
+  }
+
+  const { segments } = await buildJobDetail(await store.loadJob('detail-1'));
+
+  assert.equal(segments['1_demographics'].result.population_no, 1000);
+  assert.equal(segments['7_organicSearch'].result, null);
+  assert.equal(segments['8_paidAds'].result, null);
+});
@@ -0,0 +1,109 @@
+// test/jobQuery.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryJobStore } = require('../jobStore');
+const { parseJobListQuery, jobListPage } = require('../jobQuery');
+
+// Two jobs without a businessName, one with an empty one
+const JOBS = [
+  ['job-1', 'Acme Roofing'],
+  ['job-2', null],
+  ['job-3', 'Best Plumbing'],
+  ['job-4', ''],
+  ['job-5', undefined],
+  ['job-6', 'Acme Roofing'],
+];
+
+async function seededStore() {
+  const store = createMemoryJobStore();
+  for (const [i, [jobId, businessName]] of JOBS.entries()) {
+    await store.insertJob({
+      jobId,
+      businessName,
+      email: `${jobId}@example.com`,
+      status: 'queued',
+      createdAt: new Date(Date.UTC(2026, 0, i + 1)).toISOString(),
+    });
+  }
+  return store;
+}
+
+// Follow nextCursor to the end, returning every page's jobIds
+async function listAllPages(store, query) {
+  const pages = [];
+  let cursor;
+  for (;;) {
+    const { errors, value } = parseJobListQuery({ ...query, cursor });
+    assert.deepEqual(errors, []);
+    const rows = await store.listJobs({ ...value, limit: value.limit + 1 });
+    const page = jobListPage(rows, value);
+    pages.push(page.data.map((row) => row.jobId));
+    if (!page.nextCursor) return pages;
+    cursor = page.nextCursor;
+  }
+}
+
+test('pages through null sort values, nulls first ascending', async () => {
+  const store = await seededStore();
+  const pages = await listAllPages(store, { sort: 'businessName', limit: 2 });
+  assert.deepEqual(pages, [
+    ['job-2', 'job-5'],
+    ['job-4', 'job-1'],
+    ['job-6', 'job-3'],
+  ]);
+});
+
+test('pages through null sort values, nulls last descending', async () => {
+  const store = await seededStore();
+  const pages = await listAllPages(store, { sort: '-businessName', limit: 1 });
+  assert.deepEqual(pages.flat(), [
+    'job-3',
+    'job-6',
+    'job-1',
+    'job-4',
+    'job-5',
+    'job-2',
+  ]);
+});
+
+test('a cursor needs a value or the null flag', () => {
+  const cursor = (body) =>
+    Buffer.from(JSON.stringify(body)).toString('base64url');
+
+  const ok = parseJobListQuery({
+    sort: 'businessName',
+    cursor: cursor({ s: 'businessName', n: 1, id: 'job-2' }),
+  });
+  assert.deepEqual(ok.errors, []);
+  assert.deepEqual(ok.value.after, { value: null, jobId: 'job-2' });
+
+  const bad = parseJobListQuery({
+    sort: 'businessName',
+    cursor: cursor({ s: 'businessName', id: 'job-2' }),
+  });
+  assert.deepEqual(bad.errors, [
+    { field: 'cursor', message: 'is not a valid cursor' },
+  ]);
+});
+
+test('the memory store applies the fields projection', async () => {
+  const store = await seededStore();
+  const { value } = parseJobListQuery({ fields: 'status', limit: '2' });
+  const rows = await store.listJobs(value);
+  assert.deepEqual(rows, [
+    {
+      jobId: 'job-6',
+      status: 'queued',
+      createdAt: '2026-01-06T00:00:00.000Z',
+    },
+    {
+      jobId: 'job-5',
+      status: 'queued',
+      createdAt: '2026-01-05T00:00:00.000Z',
+    },
+  ]);
+});
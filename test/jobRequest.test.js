@@ -0,0 +1,75 @@
+// test/jobRequest.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('../index');
+const { normalizeLocation } = require('../jobRequest');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = start(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+async function postJob(body) {
+  const res = await fetch(`${baseUrl}/jobs`, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Bearer test-admin-key',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('a body that is not an object gets only the body error', async () => {
+  for (const body of [[], [{ services: ['roofing'] }]]) {
+    const res = await postJob(body);
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details, [
+      { field: 'body', message: 'must be a JSON object' },
+    ]);
+  }
+});
+
+test('an admin key without a workspace must name one', async () => {
+  const res = await postJob({ services: ['roofing'], location: 'Austin, TX' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details, [
+    {
+      field: 'workspaceId',
+      message: 'is required with an admin key that has no workspace',
+    },
+  ]);
+});
+
+test('locations keep the city as sent and uppercase the state', () => {
+  const cases = [
+    ['McAllen, TX', 'McAllen, TX'],
+    ['DeKalb, il', 'DeKalb, IL'],
+    ["Coeur d'Alene, Idaho", "Coeur d'Alene, ID"],
+    ['La Cañada Flintridge, CA', 'La Cañada Flintridge, CA'],
+    ['  Winston-Salem   NC ', 'Winston-Salem, NC'],
+    ['St. Louis , MO, USA', 'St. Louis, MO'],
+  ];
+  for (const [input, expected] of cases) {
+    assert.equal(normalizeLocation(input), expected);
+  }
+});
+
+test('locations with an unknown state or a bad city are rejected', () => {
+  assert.throws(() => normalizeLocation('Austin, XX'), /unknown state "XX"/);
+  assert.throws(() => normalizeLocation('Austin 42, TX'), /invalid city/);
+  assert.throws(() => normalizeLocation('Austin'), /must look like/);
+});
@@ -0,0 +1,48 @@
+// test/noMatch.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getStage } = require('../stages');
+const { getJobStore } = require('../jobStore');
+const { SEGMENT_STATUS_COLUMNS } = require('../status');
+const { getSegmentMeta } = require('../jobHelpers');
+
+// No reference rows at all, and result tables that can't be written
+const store = getJobStore();
+store.queryReference = async () => [];
+store.upsertSegmentResult = async () => {
+  throw new Error('result table unavailable');
+};
+
+// Without reference data the segment is skipped, even when the no_match
+// row can't be stored.
+for (const stage of ['2_industryStats', '6_seasonality']) {
+  test(`${stage} is skipped when nothing matches`, async () => {
+    const def = getStage(stage);
+    const jobId = `nomatch-${stage}`;
+    const row = {
+      jobId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      location: 'Austin, TX',
+      services: JSON.stringify(['underwater basket weaving']),
+    };
+    for (const column of SEGMENT_STATUS_COLUMNS) {
+      row[column] = column === def.statusColumn ? 'queued' : 'not_requested';
+    }
+    await store.insertJob(row);
+
+    await def.handler(jobId, {});
+
+    const job = await store.loadJob(jobId);
+    assert.equal(job[def.statusColumn], 'skipped');
+    assert.match(
+      getSegmentMeta(job, def.statusColumn).reason,
+      /for services \["underwater basket weaving"\]$/
+    );
+  });
+}
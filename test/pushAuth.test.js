@@ -0,0 +1,146 @@
+// test/pushAuth.test.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A JWKS with one key of our own, standing in for Google's
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-keys-'));
+const keysFile = path.join(keysDir, 'jwks.json');
+fs.writeFileSync(
+  keysFile,
+  JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-kid' }],
+  })
+);
+
+process.env.PUBSUB_PUSH_KEYS_FILE = keysFile;
+process.env.PUBSUB_PUSH_AUDIENCE = 'https://worker.example.com/';
+process.env.PUBSUB_PUSH_SERVICE_ACCOUNT =
+  'push@project.iam.gserviceaccount.com';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyPushJwt, authenticatePush } = require('../pushAuth');
+
+test.after(() => fs.rmSync(keysDir, { recursive: true, force: true }));
+
+const NOW = Date.now();
+const nowSeconds = Math.floor(NOW / 1000);
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// An RS256 push JWT; `claims` and `header` override the valid defaults
+function pushJwt(claims = {}, { header = {}, key = privateKey } = {}) {
+  const signed = `${encode({
+    alg: 'RS256',
+    kid: 'test-kid',
+    typ: 'JWT',
+    ...header,
+  })}.${encode({
+    iss: 'https://accounts.google.com',
+    aud: 'https://worker.example.com/',
+    email: 'push@project.iam.gserviceaccount.com',
+    email_verified: true,
+    iat: nowSeconds - 10,
+    exp: nowSeconds + 3600,
+    ...claims,
+  })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signed), key);
+  return `${signed}.${signature.toString('base64url')}`;
+}
+
+test('a push JWT signed by a known key is accepted', () => {
+  assert.equal(verifyPushJwt(pushJwt(), NOW), null);
+  assert.equal(
+    verifyPushJwt(pushJwt({ iss: 'accounts.google.com' }), NOW),
+    null
+  );
+  assert.equal(
+    authenticatePush({ headers: { authorization: `Bearer ${pushJwt()}` } }),
+    null
+  );
+});
+
+test('the wrong audience or issuer is rejected', () => {
+  assert.equal(
+    verifyPushJwt(pushJwt({ aud: 'https://other.example.com/' }), NOW),
+    'unexpected audience https://other.example.com/'
+  );
+  assert.equal(
+    verifyPushJwt(pushJwt({ aud: undefined }), NOW),
+    'unexpected audience undefined'
+  );
+  assert.equal(
+    verifyPushJwt(pushJwt({ iss: 'https://evil.example.com' }), NOW),
+    'unexpected issuer https://evil.example.com'
+  );
+});
+
+test('an expired or not yet issued JWT is rejected', () => {
+  // exp is allowed 60 seconds of clock skew
+  assert.equal(verifyPushJwt(pushJwt({ exp: nowSeconds - 30 }), NOW), null);
+  assert.equal(
+    verifyPushJwt(pushJwt({ exp: nowSeconds - 120 }), NOW),
+    'expired JWT'
+  );
+  assert.equal(verifyPushJwt(pushJwt({ exp: undefined }), NOW), 'expired JWT');
+  assert.equal(
+    verifyPushJwt(pushJwt({ iat: nowSeconds + 600 }), NOW),
+    'JWT issued in the future'
+  );
+});
+
+test('another service account or an unverified email is rejected', () => {
+  assert.equal(
+    verifyPushJwt(pushJwt({ email: 'someone@example.com' }), NOW),
+    'unexpected service account someone@example.com'
+  );
+  assert.equal(
+    verifyPushJwt(pushJwt({ email_verified: false }), NOW),
+    'unexpected service account push@project.iam.gserviceaccount.com'
+  );
+});
+
+test('a forged or malformed JWT is rejected', () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  assert.equal(
+    verifyPushJwt(pushJwt({}, { key: otherKey }), NOW),
+    'bad JWT signature'
+  );
+
+  // Claims changed after signing
+  const [header, , signature] = pushJwt().split('.');
+  const tampered = encode({
+    iss: 'https://accounts.google.com',
+    aud: 'https://worker.example.com/',
+    email: 'push@project.iam.gserviceaccount.com',
+    email_verified: true,
+    exp: nowSeconds + 365 * 24 * 3600,
+  });
+  assert.equal(
+    verifyPushJwt(`${header}.${tampered}.${signature}`, NOW),
+    'bad JWT signature'
+  );
+
+  assert.equal(
+    verifyPushJwt(pushJwt({}, { header: { kid: 'other-kid' } }), NOW),
+    'unknown JWT key id other-kid'
+  );
+  assert.equal(
+    verifyPushJwt(pushJwt({}, { header: { alg: 'none' } }), NOW),
+    'unsupported JWT alg none'
+  );
+  assert.equal(verifyPushJwt('not-a-jwt', NOW), 'malformed JWT');
+  assert.equal(verifyPushJwt('a.b.c', NOW), 'malformed JWT');
+  assert.equal(authenticatePush({ headers: {} }), 'missing bearer token');
+});
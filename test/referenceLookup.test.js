@@ -0,0 +1,52 @@
+// test/referenceLookup.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getStage } = require('../stages');
+const { getJobStore } = require('../jobStore');
+const { SEGMENT_STATUS_COLUMNS } = require('../status');
+const { getSegmentMeta } = require('../jobHelpers');
+
+const store = getJobStore();
+store.queryReference = async () => {
+  throw new Error('reference table unavailable');
+};
+
+// A reference lookup that throws fails the segment straight away, with the
+// error as reason, instead of leaving it pending for the watchdog.
+for (const stage of [
+  'demographics',
+  '2_industryStats',
+  '3_leadChannelRanking',
+  '4_marketStats',
+  '6_seasonality',
+]) {
+  test(`${stage} fails when the reference lookup throws`, async () => {
+    const def = getStage(stage);
+    const jobId = `ref-${stage}`;
+    const row = {
+      jobId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      location: 'Austin, TX',
+      services: JSON.stringify(['roofing']),
+    };
+    for (const column of SEGMENT_STATUS_COLUMNS) {
+      row[column] = column === def.statusColumn ? 'queued' : 'not_requested';
+    }
+    await store.insertJob(row);
+
+    await def.handler(jobId, {});
+
+    const job = await store.loadJob(jobId);
+    assert.equal(job[def.statusColumn], 'failed');
+    assert.match(
+      getSegmentMeta(job, def.statusColumn).reason,
+      /lookup failed: reference table unavailable$/
+    );
+  });
+}
@@ -0,0 +1,39 @@
+// test/report.test.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-tpl-'));
+process.env.JOB_STORE = 'memory';
+process.env.REPORT_TEMPLATES_DIR = templatesDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../stages');
+const { getJobStore } = require('../jobStore');
+const { renderReportHtml } = require('../report');
+
+test.after(() => fs.rmSync(templatesDir, { recursive: true, force: true }));
+
+test('a workspace template added later is picked up', async () => {
+  const store = getJobStore();
+  await store.insertJob({
+    jobId: 'report-1',
+    workspaceId: 'acme',
+    status: 'queued',
+    businessName: 'Acme Roofing',
+  });
+  const job = await store.loadJob('report-1');
+
+  const before = await renderReportHtml(job);
+  assert.match(before, /Marketing Audit: Acme Roofing/);
+
+  fs.writeFileSync(
+    path.join(templatesDir, 'acme.html'),
+    '<h1>Acme audit for {{businessName}}</h1>'
+  );
+  const after = await renderReportHtml(job);
+  assert.equal(after, '<h1>Acme audit for Acme Roofing</h1>');
+});
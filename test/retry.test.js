@@ -0,0 +1,195 @@
+// test/retry.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+// Stage and request logs on stderr, as in orchestrator.test.js
+console.log = console.error;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('../index');
+const { subscribe } = require('../eventBus');
+const { getStage } = require('../stageRegistry');
+const { getJobStore } = require('../jobStore');
+const { SEGMENT_STATUS_COLUMNS } = require('../status');
+const { getSegmentMeta } = require('../jobHelpers');
+
+// Stand-in for the worker: record what gets published instead of running it
+const published = [];
+subscribe(async (envelope) => {
+  published.push(
+    JSON.parse(Buffer.from(envelope.message.data, 'base64').toString())
+  );
+  return 204;
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = start(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+async function retry(jobId, segment, body = {}) {
+  const res = await fetch(
+    `${baseUrl}/jobs/${jobId}/segments/${segment}/retry`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer test-admin-key',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    }
+  );
+  return { status: res.status, body: await res.json() };
+}
+
+// Every segment completed unless `statuses` says otherwise; `meta` is the
+// job's segmentMeta
+async function insertJob(jobId, statuses = {}, meta = {}) {
+  const row = {
+    jobId,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    segmentMeta: JSON.stringify(meta),
+  };
+  for (const column of SEGMENT_STATUS_COLUMNS) {
+    row[column] = statuses[column] || 'completed';
+  }
+  await getJobStore().insertJob(row);
+}
+
+async function publishedFor(jobId) {
+  await new Promise((resolve) => setImmediate(resolve));
+  return published
+    .filter((e) => e.jobId === jobId)
+    .map((e) => `${e.stage}#${e.attempt}`);
+}
+
+test('retrying a failed segment resets what it blocked', async () => {
+  const blocked = { reason: 'dependency 5_keywords did not complete' };
+  await insertJob(
+    'retry-failed',
+    {
+      '5_keywords_Status': 'failed',
+      '7_organicSearch_Status': 'skipped',
+      '8_paidAds_Status': 'skipped',
+    },
+    {
+      '5_keywords_Status': { reason: 'keyword provider failed', attempt: 1 },
+      '7_organicSearch_Status': { ...blocked, blockedBy: ['5_keywords'] },
+      '8_paidAds_Status': { ...blocked, blockedBy: ['5_keywords'] },
+    }
+  );
+
+  const res = await retry('retry-failed', '5_keywords');
+
+  assert.equal(res.status, 202);
+  assert.deepEqual(res.body, {
+    jobId: 'retry-failed',
+    segment: '5_keywords',
+    attempt: 2,
+    previousStatus: 'failed',
+    reset: ['5_keywords', '7_organicSearch', '8_paidAds', '10_summary'],
+    status: 'pending',
+  });
+  const job = await getJobStore().loadJob('retry-failed');
+  for (const column of [
+    '5_keywords_Status',
+    '7_organicSearch_Status',
+    '8_paidAds_Status',
+    '10_summary_Status',
+  ]) {
+    const meta = getSegmentMeta(job, column);
+    assert.equal(job[column], 'queued', column);
+    assert.equal(meta.reason, null, column);
+    assert.equal(meta.blockedBy, null, column);
+  }
+  // The dependents wait for the retried segment again
+  assert.deepEqual(await publishedFor('retry-failed'), ['5_keywords#2']);
+});
+
+test('a completed segment is only retried with force', async () => {
+  await insertJob('retry-force');
+
+  const refused = await retry('retry-force', '2_industryStats');
+  assert.equal(refused.status, 409);
+  assert.equal(
+    refused.body.error,
+    '2_industryStats is completed; pass force: true to run it again'
+  );
+
+  const forced = await retry('retry-force', '2_industryStats', {
+    force: true,
+  });
+  assert.equal(forced.status, 202);
+  assert.deepEqual(forced.body.reset, ['2_industryStats', '10_summary']);
+  assert.deepEqual(await publishedFor('retry-force'), ['2_industryStats#2']);
+});
+
+test('a segment blocked by a failed dependency is not retried', async () => {
+  await insertJob(
+    'retry-blocked',
+    {
+      '5_keywords_Status': 'failed',
+      '8_paidAds_Status': 'skipped',
+    },
+    { '8_paidAds_Status': { blockedBy: ['5_keywords'] } }
+  );
+
+  const res = await retry('retry-blocked', '8_paidAds');
+  assert.equal(res.status, 409);
+  assert.equal(
+    res.body.error,
+    '8_paidAds depends on 5_keywords, which did not complete; retry that first'
+  );
+});
+
+test('events and callbacks of an earlier attempt are ignored', async () => {
+  await insertJob(
+    'retry-stale',
+    {
+      '2_industryStats_Status': 'queued',
+      '8_paidAds_Status': 'pending',
+      '10_summary_Status': 'queued',
+    },
+    {
+      '2_industryStats_Status': { attempt: 2 },
+      '8_paidAds_Status': { attempt: 2 },
+    }
+  );
+
+  await getStage('2_industryStats').handler('retry-stale', { attempt: 1 });
+  assert.equal(
+    (await getJobStore().loadJob('retry-stale'))['2_industryStats_Status'],
+    'queued'
+  );
+
+  const def = getStage('8_paidAds');
+  const result = { jobId: 'retry-stale', ads: [{ advertiserName: 'Acme' }] };
+
+  await def.callback.handler([{ ...result, attempt: 1 }]);
+  let job = await getJobStore().loadJob('retry-stale');
+  assert.equal(job['8_paidAds_Status'], 'pending');
+  assert.equal(
+    await getJobStore().loadSegmentResult(def.resultTable, 'retry-stale'),
+    null
+  );
+
+  await def.callback.handler([{ ...result, attempt: 2 }]);
+  job = await getJobStore().loadJob('retry-stale');
+  assert.equal(job['8_paidAds_Status'], 'completed');
+  const row = await getJobStore().loadSegmentResult(
+    def.resultTable,
+    'retry-stale'
+  );
+  assert.equal(row.ad1Advertiser, 'Acme');
+});
@@ -0,0 +1,140 @@
+// test/spreadsheet.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const { createSheetWriter } = require('../spreadsheet');
+
+/**
+ * Writable with a tiny buffer, so the writers have to wait for 'drain'.
+ */
+function collector() {
+  const chunks = [];
+  const out = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      setImmediate(callback);
+    },
+  });
+  const finished = new Promise((resolve) => out.on('finish', resolve));
+  return { out, body: () => finished.then(() => Buffer.concat(chunks)) };
+}
+
+async function writeSheet(format, columns, batches, options) {
+  const { out, body } = collector();
+  const sheet = createSheetWriter(format, out, options);
+  await sheet.writeHeader(columns);
+  for (const rows of batches) await sheet.writeRows(rows);
+  await sheet.end();
+  return body();
+}
+
+// ---------- CSV ----------
+
+test('csv quotes, escapes and flattens values', async () => {
+  const csv = await writeSheet(
+    'csv',
+    ['a', 'b', 'c'],
+    [
+      [
+        ['plain', 'with, comma', 'say "hi"'],
+        ['multi\nline', null, undefined],
+        [12.5, true, ['x', 'y']],
+        [{ value: '2026-01-01T00:00:00.000Z' }, { k: 1 }, ''],
+      ],
+    ]
+  );
+
+  assert.equal(
+    csv.toString('utf8'),
+    [
+      'a,b,c',
+      'plain,"with, comma","say ""hi"""',
+      '"multi\nline",,',
+      '12.5,true,"[""x"",""y""]"',
+      '2026-01-01T00:00:00.000Z,"{""k"":1}",',
+      '',
+    ].join('\r\n')
+  );
+});
+
+test('csv keeps phone numbers and signed numbers, defuses formulas', async () => {
+  const values = [
+    '+15125550100',
+    '-12.5',
+    '+44',
+    '=SUM(A1:A2)',
+    '+1+1',
+    '-A1',
+    '@cmd',
+    '\tx',
+  ];
+  const csv = await writeSheet('csv', ['v'], [values.map((v) => [v])]);
+
+  assert.deepEqual(csv.toString('utf8').split('\r\n').slice(1, -1), [
+    '+15125550100',
+    '-12.5',
+    '+44',
+    "'=SUM(A1:A2)",
+    "'+1+1",
+    "'-A1",
+    "'@cmd",
+    "'\tx",
+  ]);
+});
+
+// ---------- XLSX ----------
+
+const XLSX_ROWS = [
+  [
+    ['acme', 1200, true],
+    ['<Roof & "Co">', -3.5, false],
+  ],
+  [],
+  [
+    ['Zoë’s Café 🏠', null, null],
+    ['=SUM(A1:A2)', 0, ['a', 'b']],
+  ],
+];
+
+test('xlsx opens in a spreadsheet library with typed cells', async () => {
+  const xlsx = await writeSheet('xlsx', ['name', 'n', 'flag'], XLSX_ROWS, {
+    sheetName: 'Jobs: [all]',
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(xlsx);
+  assert.equal(workbook.worksheets.length, 1);
+
+  const sheet = workbook.worksheets[0];
+  assert.equal(sheet.name, 'Jobs_ _all_');
+  assert.equal(sheet.rowCount, 5);
+
+  const values = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    values.push([1, 2, 3].map((i) => row.getCell(i).value));
+  });
+  assert.deepEqual(values, [
+    ['name', 'n', 'flag'],
+    ['acme', 1200, true],
+    ['<Roof & "Co">', -3.5, false],
+    ['Zoë’s Café 🏠', null, null],
+    ['=SUM(A1:A2)', 0, '["a","b"]'],
+  ]);
+  assert.equal(sheet.getRow(1).getCell(1).font.bold, true);
+  assert.deepEqual(
+    sheet.views.map(({ state, ySplit }) => ({ state, ySplit })),
+    [{ state: 'frozen', ySplit: 1 }]
+  );
+});
+
+test('xlsx drops characters XML cannot hold', async () => {
+  const xlsx = await writeSheet('xlsx', ['v'], [[['bell\u0007 tab\t']]]);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(xlsx);
+  assert.equal(workbook.worksheets[0].getCell('A2').value, 'bell tab\t');
+});
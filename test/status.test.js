@@ -0,0 +1,63 @@
+// test/status.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeOverallStatus, NEUTRAL_STATUSES } = require('../status');
+
+test('every segment neutral -> completed', () => {
+  for (const status of NEUTRAL_STATUSES) {
+    assert.equal(computeOverallStatus([status, status]), 'completed');
+  }
+  assert.equal(
+    computeOverallStatus(['skipped', 'not_applicable', 'not_requested']),
+    'completed'
+  );
+  assert.equal(computeOverallStatus([]), 'completed');
+});
+
+test('every remaining segment queued -> queued', () => {
+  assert.equal(computeOverallStatus(['queued', 'queued']), 'queued');
+  assert.equal(
+    computeOverallStatus(['queued', 'not_requested', 'skipped']),
+    'queued'
+  );
+});
+
+test('missing or unknown values count as queued', () => {
+  assert.equal(computeOverallStatus([null, undefined, '']), 'queued');
+  assert.equal(computeOverallStatus([null, 'completed']), 'pending');
+});
+
+test('any queued or pending segment left -> pending', () => {
+  assert.equal(computeOverallStatus(['pending', 'completed']), 'pending');
+  assert.equal(computeOverallStatus(['queued', 'completed']), 'pending');
+  assert.equal(computeOverallStatus(['pending', 'queued']), 'pending');
+});
+
+test('pending wins over failed while work is in flight', () => {
+  assert.equal(computeOverallStatus(['failed', 'pending']), 'pending');
+  assert.equal(computeOverallStatus(['failed', 'queued']), 'pending');
+});
+
+test('any failed segment once everything settled -> failed', () => {
+  assert.equal(computeOverallStatus(['failed', 'completed']), 'failed');
+  assert.equal(computeOverallStatus(['failed']), 'failed');
+});
+
+test('neutral segments mixed with failed -> failed', () => {
+  for (const status of NEUTRAL_STATUSES) {
+    assert.equal(computeOverallStatus([status, 'failed']), 'failed');
+    assert.equal(
+      computeOverallStatus([status, 'failed', 'completed']),
+      'failed'
+    );
+  }
+});
+
+test('completed and neutral segments only -> completed', () => {
+  assert.equal(computeOverallStatus(['completed', 'completed']), 'completed');
+  for (const status of NEUTRAL_STATUSES) {
+    assert.equal(computeOverallStatus(['completed', status]), 'completed');
+  }
+});
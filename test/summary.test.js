@@ -0,0 +1,64 @@
+// test/summary.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAuditSummary } = require('../summary');
+
+const findingText = (summary, segment) =>
+  summary.findings.find((f) => f.segment === segment).text;
+
+test('findings show a placeholder for missing numbers', () => {
+  const summary = buildAuditSummary(
+    { location: 'Austin, TX' },
+    {
+      '1_demographics': { population_no: 964177 },
+      '4_marketStats': {},
+      '5_keywords': { keywordCount: 8 },
+    }
+  );
+
+  assert.equal(
+    findingText(summary, '1_demographics'),
+    'Austin, TX: population 964,177, — households, median household income —.'
+  );
+  assert.equal(
+    findingText(summary, '4_marketStats'),
+    'About — households need these services each year.'
+  );
+  assert.equal(
+    findingText(summary, '5_keywords'),
+    '8 tracked keywords with — monthly searches.'
+  );
+  for (const { text } of summary.findings) {
+    assert.doesNotMatch(text, /undefined|null|NaN/);
+  }
+});
+
+test('industry benchmarks show a placeholder for missing values', () => {
+  const partial = buildAuditSummary(
+    { location: 'Austin, TX' },
+    { '2_industryStats': { close_rate: 0.3 } }
+  );
+  assert.equal(
+    findingText(partial, '2_industryStats'),
+    'Industry benchmarks: average ticket —, close rate 30%, marketing spend — of revenue.'
+  );
+
+  const full = buildAuditSummary(
+    { location: 'Austin, TX' },
+    {
+      '2_industryStats': {
+        avg_ticket_size: 12500,
+        close_rate: 0.3,
+        marketing_spend_pct: 0.075,
+      },
+    }
+  );
+  assert.equal(
+    findingText(full, '2_industryStats'),
+    'Industry benchmarks: average ticket $12,500, close rate 30%, marketing spend 7.5% of revenue.'
+  );
+});
@@ -0,0 +1,77 @@
+// test/watchdog.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../stages');
+const { getJobStore } = require('../jobStore');
+const { SEGMENT_STATUS_COLUMNS } = require('../status');
+const { sweepStuckSegments } = require('../watchdog');
+const { getSegmentMeta } = require('../jobHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function insertJob(jobId, statuses, pendingSince) {
+  const row = { jobId, status: 'pending', createdAt: pendingSince };
+  for (const column of SEGMENT_STATUS_COLUMNS) {
+    row[column] = statuses[column] || 'not_requested';
+  }
+  row.segmentMeta = JSON.stringify(
+    Object.fromEntries(
+      Object.entries(statuses)
+        .filter(([, status]) => status === 'pending')
+        .map(([column]) => [column, { updatedAt: pendingSince, attempt: 1 }])
+    )
+  );
+  await getJobStore().insertJob(row);
+}
+
+test('an unanswered questionnaire times out as skipped, not failed', async () => {
+  const now = new Date();
+  await insertJob(
+    'wd-client',
+    {
+      '1_demographics_Status': 'completed',
+      '9_clientInput_Status': 'pending',
+    },
+    new Date(now - 15 * DAY_MS).toISOString()
+  );
+
+  const result = await sweepStuckSegments({ now });
+
+  assert.deepEqual(
+    result.timedOut.map((t) => t.segment),
+    ['9_clientInput']
+  );
+  const job = await getJobStore().loadJob('wd-client');
+  assert.equal(job['9_clientInput_Status'], 'skipped');
+  assert.equal(getSegmentMeta(job, '9_clientInput_Status').reason, 'timed_out');
+  assert.equal(job.status, 'completed');
+});
+
+test('other stages still fail once out of attempts', async () => {
+  const now = new Date();
+  await insertJob(
+    'wd-demos',
+    { '1_demographics_Status': 'pending' },
+    new Date(now - DAY_MS).toISOString()
+  );
+  const job = await getJobStore().loadJob('wd-demos');
+  const meta = JSON.parse(job.segmentMeta);
+  meta['1_demographics_Status'].attempt = 3;
+  await getJobStore().markSegmentStatus(
+    'wd-demos',
+    '1_demographics_Status',
+    'pending',
+    meta['1_demographics_Status']
+  );
+  // markSegmentStatus refreshed updatedAt, so sweep from a day later
+  await sweepStuckSegments({ now: new Date(now.getTime() + DAY_MS) });
+
+  const swept = await getJobStore().loadJob('wd-demos');
+  assert.equal(swept['1_demographics_Status'], 'failed');
+  assert.equal(swept.status, 'failed');
+});
@@ -0,0 +1,65 @@
+// test/worker.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+process.env.PUBSUB_PUSH_TOKEN = 'test-push-token';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, handlePushEnvelope } = require('../worker');
+
+function envelope(data) {
+  return { message: { data: Buffer.from(data).toString('base64') } };
+}
+
+test('an unknown stage is acked', async () => {
+  const body = envelope(JSON.stringify({ jobId: 'job-1', stage: 'nope' }));
+  assert.equal(await handlePushEnvelope(body), 204);
+});
+
+test('malformed envelopes are rejected', async () => {
+  assert.equal(await handlePushEnvelope({}), 400);
+  assert.equal(await handlePushEnvelope({ message: {} }), 400);
+  assert.equal(await handlePushEnvelope(envelope('not json')), 400);
+  assert.equal(await handlePushEnvelope(envelope('null')), 400);
+  assert.equal(
+    await handlePushEnvelope(envelope(JSON.stringify({ jobId: 'job-1' }))),
+    400
+  );
+});
+
+test('the watchdog sweep needs the push token', async () => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/watchdog/sweep`;
+  try {
+    const sweep = (headers) => fetch(url, { method: 'POST', headers });
+
+    assert.equal((await sweep({})).status, 401);
+    assert.equal(
+      (await sweep({ Authorization: 'Bearer wrong-token' })).status,
+      401
+    );
+    assert.equal(
+      (await sweep({ Authorization: 'Bearer test-push-token' })).status,
+      200
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('the push token is not accepted from the query string', async () => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const res = await fetch(`${url}/watchdog/sweep?token=test-push-token`, {
+      method: 'POST',
+    });
+    assert.equal(res.status, 401);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,113 @@
+// test/workspaces.test.js
+'use strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_EVENTS_TRANSPORT = 'inprocess';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+// Request logs on stderr, as in orchestrator.test.js
+console.log = console.error;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('../index');
+const { getJobStore } = require('../jobStore');
+const { createApiKey } = require('../apiKeys');
+
+let server;
+let baseUrl;
+const keys = {};
+
+// One job per workspace, plus one from before workspaces existed
+const JOBS = [
+  ['ws-acme', 'acme'],
+  ['ws-globex', 'globex'],
+  ['ws-legacy', undefined],
+];
+
+test.before(async () => {
+  server = start(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  keys.acme = (await createApiKey({ workspaceId: 'acme' })).key;
+  const store = getJobStore();
+  for (const [jobId, workspaceId] of JOBS) {
+    await store.insertJob({
+      jobId,
+      workspaceId,
+      status: 'completed',
+      createdAt: new Date().toISOString(),
+      '1_demographics_Status': 'completed',
+    });
+    await store.upsertSegmentResult('1_demographicJobs', jobId, {
+      location: 'Austin, TX',
+    });
+  }
+});
+
+test.after(() => server.close());
+
+async function get(path, key = 'test-admin-key', method = 'GET') {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${key}` },
+  });
+  const type = res.headers.get('content-type') || '';
+  return {
+    status: res.status,
+    body: type.includes('json') ? await res.json() : await res.text(),
+  };
+}
+
+const INVALID_WORKSPACE = {
+  field: 'workspaceId',
+  message: 'must be 1-64 letters, digits, "-" or "_"',
+};
+
+test('admin listings reject a malformed or repeated workspaceId', async () => {
+  for (const path of ['/jobs', '/exports/jobs', '/admin/api-keys']) {
+    for (const query of ['workspaceId=a%20b', 'workspaceId=a&workspaceId=b']) {
+      const res = await get(`${path}?${query}`);
+      assert.equal(res.status, 400, `${path}?${query}`);
+      assert.deepEqual(res.body.details, [INVALID_WORKSPACE]);
+    }
+  }
+});
+
+test("a member key can't reach another workspace's jobs", async () => {
+  assert.equal((await get('/jobs/ws-acme', keys.acme)).status, 200);
+  assert.equal((await get('/status?jobId=ws-acme', keys.acme)).status, 200);
+
+  for (const jobId of ['ws-globex', 'ws-legacy']) {
+    for (const path of [`/jobs/${jobId}`, `/status?jobId=${jobId}`]) {
+      const res = await get(path, keys.acme);
+      assert.equal(res.status, 404, path);
+      assert.deepEqual(res.body, { error: 'Job not found' });
+    }
+    const deleted = await get(`/jobs/${jobId}`, keys.acme, 'DELETE');
+    assert.equal(deleted.status, 404);
+    assert.ok(await getJobStore().loadJob(jobId));
+  }
+});
+
+test('listings and exports of a member key only cover its workspace', async () => {
+  const ids = (res) => res.body.data.map((row) => row.jobId).sort();
+  // ?workspaceId= only picks a workspace for admin keys
+  for (const query of ['', '?workspaceId=globex']) {
+    assert.deepEqual(ids(await get(`/jobs${query}`, keys.acme)), ['ws-acme']);
+
+    for (const path of ['/exports/jobs', '/exports/segments/1_demographics']) {
+      const csv = (await get(`${path}${query}`, keys.acme)).body;
+      assert.match(csv, /ws-acme/, path);
+      assert.doesNotMatch(csv, /ws-globex|ws-legacy/, path);
+    }
+  }
+
+  assert.deepEqual(ids(await get('/jobs')), [
+    'ws-acme',
+    'ws-globex',
+    'ws-legacy',
+  ]);
+  assert.deepEqual(ids(await get('/jobs?workspaceId=globex')), ['ws-globex']);
+});
@@ -0,0 +1,125 @@
+// watchdog.js
+'use strict';
+
+const { getJobStore } = require('./jobStore');
+const { listStages } = require('./stageRegistry');
+const { markSegmentStatus } = require('./status');
+const { retrySegment, publishDueRetries } = require('./orchestrator');
+const { getSegmentMeta } = require('./jobHelpers');
+const { WATCHDOG_BACKOFF_SECONDS } = require('./config');
+
+/**
+ * Watchdog for segments stuck in 'pending', e.g. organic search waiting on an
+ * n8n callback that never comes.
+ *
+ * A segment is overdue once it has been pending longer than its stage's
+ * pendingTimeoutMinutes. With attempts left (stage maxAttempts) it is
+ * retried after WATCHDOG_BACKOFF_SECONDS, doubled per attempt; otherwise it
+ * is marked with the stage's timeoutStatus ('failed', or 'skipped' for
+ * optional segments such as the client questionnaire) and reason
+ * 'timed_out', which recomputes the job status and lets dependent stages
+ * move on.
+ *
+ * sweepStuckSegments runs from the worker: POST /watchdog/sweep (Cloud
+ * Scheduler, authenticated like Pub/Sub pushes - see pushAuth.js) or its
+ * WATCHDOG_INTERVAL_SECONDS timer.
+ */
+
+function backoffMs(attempt) {
+  return WATCHDOG_BACKOFF_SECONDS * 1000 * 2 ** (attempt - 1);
+}
+
+/**
+ * How long past its deadline a pending segment is (<= 0 = not overdue), or
+ * null when the segment isn't pending or has no deadline.
+ */
+function overdueMs(job, def, now) {
+  if (!def.pendingTimeoutMinutes) return null;
+  if (job[def.statusColumn] !== 'pending') return null;
+
+  const { updatedAt } = getSegmentMeta(job, def.statusColumn);
+  if (!updatedAt) return null;
+  return now - new Date(updatedAt) - def.pendingTimeoutMinutes * 60 * 1000;
+}
+
+async function sweepJob(job, now, result) {
+  const { jobId } = job;
+
+  for (const def of listStages()) {
+    const overdue = overdueMs(job, def, now);
+    if (overdue === null || overdue <= 0) continue;
+
+    const attempt = getSegmentMeta(job, def.statusColumn).attempt || 1;
+    const entry = { jobId, segment: def.segment, attempt };
+
+    if (attempt < def.maxAttempts) {
+      const retryAfter = new Date(
+        now.getTime() + backoffMs(attempt)
+      ).toISOString();
+      console.warn(
+        `⏰ [WATCHDOG] ${def.segment} for job ${jobId} pending past its ${def.pendingTimeoutMinutes} min deadline (attempt ${attempt}/${def.maxAttempts}), retrying after ${retryAfter}`
+      );
+
+      const retry = await retrySegment(jobId, def.segment, {
+        force: true,
+        retryAfter,
+      });
+      if (retry.error) {
+        console.error(
+          `❌ [WATCHDOG] Could not retry ${def.segment} for job ${jobId}: ${retry.error}`
+        );
+        continue;
+      }
+      result.retried.push({ ...entry, retryAfter });
+    } else {
+      console.warn(
+        `⏰ [WATCHDOG] ${def.segment} for job ${jobId} pending past its ${def.pendingTimeoutMinutes} min deadline after ${attempt} attempt(s), marking ${def.timeoutStatus}`
+      );
+      await markSegmentStatus(jobId, def.statusColumn, def.timeoutStatus, {
+        reason: 'timed_out',
+        timedOutAt: now.toISOString(),
+      });
+      result.timedOut.push(entry);
+    }
+  }
+
+  for (const stage of await publishDueRetries(jobId, now)) {
+    result.published.push({ jobId, stage });
+  }
+}
+
+/**
+ * One pass over every queued/pending job. Resolves to
+ * { jobs, retried: [...], timedOut: [...], published: [...], failed: [...] }.
+ */
+async function sweepStuckSegments({ now = new Date() } = {}) {
+  const jobs = await getJobStore().listActiveJobs();
+  const result = {
+    jobs: jobs.length,
+    retried: [],
+    timedOut: [],
+    published: [],
+    failed: [],
+  };
+
+  for (const job of jobs) {
+    try {
+      await sweepJob(job, now, result);
+    } catch (err) {
+      console.error(
+        `❌ [WATCHDOG] Sweep FAILED for job ${job.jobId}:`,
+        err.message || err
+      );
+      result.failed.push({ jobId: job.jobId, error: err.message || err });
+    }
+  }
+
+  console.log(
+    `🧹 [WATCHDOG] Swept ${jobs.length} active job(s): ${result.retried.length} retried, ${result.timedOut.length} timed out, ${result.published.length} retries published`
+  );
+  return result;
+}
+
+module.exports = {
+  sweepStuckSegments,
+};
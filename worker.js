@@ -3,653 +3,173 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
-const { BigQuery } = require('@google-cloud/bigquery');
-const axios = require('axios');
+const eventBus = require('./eventBus');
+const { getStage, listStages } = require('./stages');
+const { getJobStore } = require('./jobStore');
+const { dependencyState, advanceJob } = require('./orchestrator');
+const { sweepStuckSegments } = require('./watchdog');
+const { verifyCallback } = require('./callbackAuth');
+const { isPushAuthEnabled, authenticatePush } = require('./pushAuth');
+const { WATCHDOG_INTERVAL_SECONDS } = require('./config');
 
 const app = express();
-app.use(bodyParser.json());
-
-const bigquery = new BigQuery();
-
-const PROJECT_ID = 'ghs-construction-1734441714520';
-
-// TABLES
-const JOBS_TABLE = `${PROJECT_ID}.Client_audits.client_audits_jobs`;
-const DEMOS_SOURCE_TABLE = `${PROJECT_ID}.Client_audits_data.1_demographics`;
-const DEMOS_JOBS_TABLE = `${PROJECT_ID}.Client_audits.1_demographicJobs`;
-const ORGANIC_JOBS_TABLE = `${PROJECT_ID}.Client_audits.7_organicSearch_Jobs`;
-
-// N8N WEBHOOK
-const ORGANIC_WEBHOOK_URL =
-  'https://n8n.srv974379.hstgr.cloud/webhook/07_organicSearch';
-
-/**
- * HELPERS
- */
-
-async function loadJob(jobId) {
-  console.log('➡️ Load job row from client_audits_jobs');
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        jobId,
-        createdAt,
-        status,
-        businessName,
-        services,
-        location,
-        \`1_demographics_Status\` AS demographicsStatus,
-        \`7_organicSearch_Status\` AS organicSearchStatus,
-        \`8_paidAds_Status\` AS paidAdsStatus,
-        website
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId },
-  });
-
-  console.log(`ℹ️ loadJob result rows: ${rows.length}`);
-  return rows[0];
-}
-
-/**
- * Safely normalize a BigQuery TIMESTAMP into ISO string for JS.
- */
-function bqTimestampToIso(ts) {
-  if (!ts) return new Date().toISOString();
-  if (ts instanceof Date) return ts.toISOString();
-  if (typeof ts === 'string') return ts;
-  if (typeof ts.value === 'string') return ts.value;
-  return new Date().toISOString();
-}
-
-/**
- * Force value into STRING (never null) so BigQuery doesn't need explicit types.
- */
-function safeStr(v) {
-  if (v === undefined || v === null) return '';
-  return String(v);
-}
-
-/**
- * Update a specific "segment status" column (e.g. 1_demographics_Status).
- */
-async function markSegmentStatus(jobId, statusColumn, newStatus) {
-  console.log(
-    `✅ markSegmentStatus: set ${statusColumn} = '${newStatus}' for job ${jobId}`
-  );
-  const columnName = statusColumn; // e.g. "1_demographics_Status"
-  await bigquery.query({
-    query: `
-      UPDATE \`${JOBS_TABLE}\`
-      SET \`${columnName}\` = @newStatus
-      WHERE jobId = @jobId
-    `,
-    params: { jobId, newStatus },
-  });
-}
+// Keep the raw body around for X-Callback-Signature
+app.use(
+  bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 /**
- * Recompute and update the main job status based on segment statuses.
- *
- * Rules:
- * - 'queued'    → if ALL segment statuses are 'queued'
- * - 'pending'   → if ANY segment status is 'pending' (and none are 'failed')
- * - 'failed'    → if ANY segment status is 'failed'
- * - 'completed' → only if ALL segment statuses are 'completed'
+ * STAGE CALLBACKS - e.g. n8n posting results to /organic-result.
+ * Only signed callbacks are processed (see callbackAuth.js).
  */
-async function maybeMarkJobCompleted(jobId) {
-  console.log('➡️ Load job row from client_audits_jobs');
-  const [rows] = await bigquery.query({
-    query: `
-      SELECT
-        jobId,
-        status,
-        \`1_demographics_Status\` AS demographicsStatus,
-        \`7_organicSearch_Status\` AS organicSearchStatus,
-        \`8_paidAds_Status\` AS paidAdsStatus
-      FROM \`${JOBS_TABLE}\`
-      WHERE jobId = @jobId
-      LIMIT 1
-    `,
-    params: { jobId },
-  });
-
-  console.log(`ℹ️ loadJob result rows: ${rows.length}`);
-  if (!rows.length) return;
-
-  const job = rows[0];
-
-  const demo = job.demographicsStatus || 'queued';
-  const organic = job.organicSearchStatus || 'queued';
-  const paid = job.paidAdsStatus || 'queued';
-
-  console.log(
-    `ℹ️ maybeMarkJobCompleted: current segments for ${jobId} => demo=${demo}, organic=${organic}, paid=${paid}`
-  );
-
-  const segments = [demo, organic, paid];
-  const currentStatus = job.status || 'queued';
-  let newStatus = currentStatus;
-
-  if (segments.every((s) => s === 'queued')) {
-    newStatus = 'queued';
-  } else if (segments.some((s) => s === 'failed')) {
-    newStatus = 'failed';
-  } else if (segments.every((s) => s === 'completed')) {
-    newStatus = 'completed';
-  } else if (segments.some((s) => s === 'pending')) {
-    newStatus = 'pending';
-  }
-
-  if (newStatus === currentStatus) {
-    console.log(
-      `ℹ️ maybeMarkJobCompleted: job ${jobId} main status remains '${currentStatus}'.`
-    );
-    return;
-  }
+for (const def of listStages()) {
+  if (!def.callback) continue;
+
+  const { path, handler } = def.callback;
+  app.post(path, async (req, res) => {
+    try {
+      const items = Array.isArray(req.body) ? req.body : [req.body || {}];
+      const rejected = await verifyCallback(def, {
+        headers: req.headers,
+        rawBody: req.rawBody,
+        items,
+      });
+      if (rejected) {
+        console.warn(
+          `🚫 Rejected ${path} callback from ${req.ip}: ${rejected.reason}`
+        );
+        res.status(rejected.httpStatus).json({ error: 'Callback rejected' });
+        return;
+      }
 
-  await bigquery.query({
-    query: `
-      UPDATE \`${JOBS_TABLE}\`
-      SET status = @newStatus
-      WHERE jobId = @jobId
-    `,
-    params: { jobId, newStatus },
+      await handler(req.body);
+      res.status(200).json({ ok: true });
+    } catch (err) {
+      console.error(`❌ Error in ${path} handler:`, err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
-
-  console.log(
-    `ℹ️ maybeMarkJobCompleted: updated job ${jobId} status='${newStatus}'.`
-  );
 }
 
 /**
- * MERGE SQL for demographics result table.
- */
-const MERGE_DEMOGRAPHICS_SQL = `
-  MERGE \`${DEMOS_JOBS_TABLE}\` T
-  USING (
-    SELECT
-      @jobId AS jobId,
-      TIMESTAMP(@dateIso) AS date,
-      @status AS status,
-      @businessName AS businessName,
-      CAST(@population_no AS NUMERIC) AS population_no,
-      CAST(@households_no AS NUMERIC) AS households_no,
-      CAST(@median_age AS FLOAT64) AS median_age,
-      CAST(@median_income_households AS NUMERIC) AS median_income_households,
-      CAST(@median_income_families AS NUMERIC) AS median_income_families,
-      CAST(@male_percentage AS FLOAT64) AS male_percentage,
-      CAST(@female_percentage AS FLOAT64) AS female_percentage
-  ) S
-  ON T.jobId = S.jobId
-  WHEN MATCHED THEN
-    UPDATE SET
-      T.date = S.date,
-      T.status = S.status,
-      T.businessName = S.businessName,
-      T.population_no = S.population_no,
-      T.households_no = S.households_no,
-      T.median_age = S.median_age,
-      T.median_income_households = S.median_income_households,
-      T.median_income_families = S.median_income_families,
-      T.male_percentage = S.male_percentage,
-      T.female_percentage = S.female_percentage
-  WHEN NOT MATCHED THEN
-    INSERT (
-      jobId,
-      date,
-      status,
-      businessName,
-      population_no,
-      households_no,
-      median_age,
-      median_income_households,
-      median_income_families,
-      male_percentage,
-      female_percentage
-    )
-    VALUES (
-      S.jobId,
-      S.date,
-      S.status,
-      S.businessName,
-      S.population_no,
-      S.households_no,
-      S.median_age,
-      S.median_income_households,
-      S.median_income_families,
-      S.male_percentage,
-      S.female_percentage
-    )
-`;
-
-/**
- * MERGE SQL for organic search results table.
- * Match ONLY on jobId, but also store businessName.
- */
-const MERGE_ORGANIC_SQL = `
-  MERGE \`${ORGANIC_JOBS_TABLE}\` T
-  USING (
-    SELECT
-      @jobId AS jobId,
-      TIMESTAMP(@dateIso) AS date,
-      @businessName AS businessName,
-      @website AS website,
-      @rank1Name AS rank1Name, @rank1Url AS rank1Url,
-      @rank2Name AS rank2Name, @rank2Url AS rank2Url,
-      @rank3Name AS rank3Name, @rank3Url AS rank3Url,
-      @rank4Name AS rank4Name, @rank4Url AS rank4Url,
-      @rank5Name AS rank5Name, @rank5Url AS rank5Url,
-      @rank6Name AS rank6Name, @rank6Url AS rank6Url,
-      @rank7Name AS rank7Name, @rank7Url AS rank7Url,
-      @rank8Name AS rank8Name, @rank8Url AS rank8Url,
-      @rank9Name AS rank9Name, @rank9Url AS rank9Url,
-      @rank10Name AS rank10Name, @rank10Url AS rank10Url
-  ) S
-  ON T.jobId = S.jobId
-  WHEN MATCHED THEN UPDATE SET
-    T.date = S.date,
-    T.businessName = S.businessName,
-    T.website = S.website,
-    T.rank1Name = S.rank1Name, T.rank1Url = S.rank1Url,
-    T.rank2Name = S.rank2Name, T.rank2Url = S.rank2Url,
-    T.rank3Name = S.rank3Name, T.rank3Url = S.rank3Url,
-    T.rank4Name = S.rank4Name, T.rank4Url = S.rank4Url,
-    T.rank5Name = S.rank5Name, T.rank5Url = S.rank5Url,
-    T.rank6Name = S.rank6Name, T.rank6Url = S.rank6Url,
-    T.rank7Name = S.rank7Name, T.rank7Url = S.rank7Url,
-    T.rank8Name = S.rank8Name, T.rank8Url = S.rank8Url,
-    T.rank9Name = S.rank9Name, T.rank9Url = S.rank9Url,
-    T.rank10Name = S.rank10Name, T.rank10Url = S.rank10Url
-  WHEN NOT MATCHED THEN
-    INSERT (
-      jobId, date, businessName, website,
-      rank1Name, rank1Url,
-      rank2Name, rank2Url,
-      rank3Name, rank3Url,
-      rank4Name, rank4Url,
-      rank5Name, rank5Url,
-      rank6Name, rank6Url,
-      rank7Name, rank7Url,
-      rank8Name, rank8Url,
-      rank9Name, rank9Url,
-      rank10Name, rank10Url
-    )
-    VALUES (
-      S.jobId, S.date, S.businessName, S.website,
-      S.rank1Name, S.rank1Url,
-      S.rank2Name, S.rank2Url,
-      S.rank3Name, S.rank3Url,
-      S.rank4Name, S.rank4Url,
-      S.rank5Name, S.rank5Url,
-      S.rank6Name, S.rank6Url,
-      S.rank7Name, S.rank7Url,
-      S.rank8Name, S.rank8Url,
-      S.rank9Name, S.rank9Url,
-      S.rank10Name, S.rank10Url
-    )
-`;
-
-/**
- * DEMOGRAPHICS STAGE HANDLER
+ * Handle one Pub/Sub push envelope ({ message: { data: base64 } }).
+ * Resolves to the HTTP status to answer with: 400 for a malformed envelope,
+ * else 204. Throws on processing errors.
  */
-async function handleDemographicsStage(jobId) {
-  console.log(`▶️ [DEMOS] Starting demographics processing for job ${jobId}`);
-
-  const job = await loadJob(jobId);
-  if (!job) {
-    console.warn(`[DEMOS] No job row found for jobId ${jobId}`);
-    return;
+async function handlePushEnvelope(body) {
+  const message = body && body.message;
+  if (!message || !message.data) {
+    console.error('❌ Invalid Pub/Sub message format', body);
+    return 400;
   }
 
-  const createdAtIso = bqTimestampToIso(job.createdAt);
-
-  console.log(
-    `ℹ️ [DEMOS] Job ${jobId} location = "${job.location}", demographicsStatus = ${job.demographicsStatus}, organicSearchStatus = ${job.organicSearchStatus}, paidAdsStatus = ${job.paidAdsStatus}, status = ${job.status}, createdAt = ${JSON.stringify(
-      job.createdAt
-    )}`
-  );
-
-  console.log(
-    "➡️ [DEMOS] Step 2: Mark main job 1_demographics_Status = 'pending'"
-  );
-  await markSegmentStatus(jobId, '1_demographics_Status', 'pending');
-
-  console.log(
-    '➡️ [DEMOS] Step 3: Load demographics from Client_audits_data.1_demographics'
-  );
-  const [demoRows] = await bigquery.query({
-    query: `
-      SELECT
-        population_no,
-        median_age,
-        households_no,
-        median_income_households,
-        median_income_families,
-        male_percentage,
-        female_percentage
-      FROM \`${DEMOS_SOURCE_TABLE}\`
-      WHERE location = @location
-      LIMIT 1
-    `,
-    params: { location: job.location },
-  });
-
-  console.log(
-    `ℹ️ [DEMOS] Step 3 result rows (demographics): ${demoRows.length}`
-  );
-  if (!demoRows.length) {
-    console.warn(
-      `[DEMOS] No demographics row found for location "${job.location}", marking failed.`
-    );
-    await markSegmentStatus(jobId, '1_demographics_Status', 'failed');
-    await maybeMarkJobCompleted(jobId);
-    return;
-  }
-
-  const d = demoRows[0];
-  console.log(
-    `ℹ️ [DEMOS] Found demographics for "${job.location}": ${JSON.stringify(d)}`
-  );
-
-  console.log(
-    '➡️ [DEMOS] Step 4: MERGE into 1_demographicJobs with demographics values'
-  );
-  console.log(
-    `ℹ️ [DEMOS] Step 4 storing demographics for job ${jobId}: pop=${d.population_no}, age=${d.median_age}, households=${d.households_no}, income_hh=${d.median_income_households}, income_fam=${d.median_income_families}, male=${d.male_percentage}, female=${d.female_percentage}, status=completed, date=${createdAtIso}, businessName=${job.businessName}`
-  );
-
+  let payload;
   try {
-    await bigquery.query({
-      query: MERGE_DEMOGRAPHICS_SQL,
-      params: {
-        jobId,
-        dateIso: createdAtIso,
-        status: 'completed',
-        businessName: safeStr(job.businessName),
-        population_no: d.population_no,
-        households_no: d.households_no,
-        median_age: d.median_age,
-        median_income_households: d.median_income_households,
-        median_income_families: d.median_income_families,
-        male_percentage: d.male_percentage,
-        female_percentage: d.female_percentage,
-      },
-    });
-    console.log(
-      `✅ [DEMOS] MERGE completed for job ${jobId} into ${DEMOS_JOBS_TABLE}`
-    );
+    payload = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
   } catch (err) {
-    console.error(
-      `❌ [DEMOS] MERGE FAILED for job ${jobId} into 1_demographicJobs:`,
-      err && err.errors ? err.errors : err
-    );
-    await markSegmentStatus(jobId, '1_demographics_Status', 'failed');
-    await maybeMarkJobCompleted(jobId);
-    return;
+    console.error('❌ Pub/Sub message data is not JSON:', err.message);
+    return 400;
   }
 
-  console.log(
-    '➡️ [DEMOS] Step 5: Update client_audits_jobs.1_demographics_Status'
-  );
-  await markSegmentStatus(jobId, '1_demographics_Status', 'completed');
+  const { jobId, location, stage } = payload || {};
 
-  console.log(
-    '➡️ [DEMOS] Step 6: Recompute main job status based on all segments'
-  );
-  await maybeMarkJobCompleted(jobId);
-}
+  console.log('📩 Received job message:', payload);
 
-/**
- * ORGANIC SEARCH STAGE (trigger N8N + seed empty row)
- */
-async function handleOrganicStage(jobId) {
-  console.log(`▶️ [ORG] Starting organic search processing for job ${jobId}`);
-
-  const job = await loadJob(jobId);
-  if (!job) {
-    console.warn(`[ORG] No job row found for jobId ${jobId}`);
-    return;
-  }
-
-  const servicesRaw = job.services || '';
-  let servicesArray = [];
-  try {
-    const parsed = JSON.parse(servicesRaw);
-    if (Array.isArray(parsed)) servicesArray = parsed;
-    else if (parsed) servicesArray = [String(parsed)];
-  } catch {
-    if (servicesRaw) servicesArray = [servicesRaw];
+  if (!jobId || !stage) {
+    console.error('❌ Missing jobId or stage in Pub/Sub payload');
+    return 400;
   }
 
   console.log(
-    `ℹ️ [ORG] Job ${jobId} location = "${job.location}", organicSearchStatus = ${job.organicSearchStatus}, services = ${JSON.stringify(
-      servicesArray
-    )}`
+    `✅ Worker received job ${jobId} (stage=${stage}, location=${location})`
   );
 
-  console.log("➡️ [ORG] Mark main job 7_organicSearch_Status = 'pending'");
-  await markSegmentStatus(jobId, '7_organicSearch_Status', 'pending');
-
-  const payload = {
-    jobId,
-    location: job.location,
-    services: servicesArray,
-  };
-
-  console.log(
-    `ℹ️ [ORG] Sending payload to n8n webhook: ${ORGANIC_WEBHOOK_URL} → ${JSON.stringify(
-      payload
-    )}`
-  );
-
-  try {
-    const resp = await axios.post(ORGANIC_WEBHOOK_URL, payload, {
-      timeout: 15000,
-    });
+  const def = getStage(stage);
+  // Ack it: redelivering won't make the stage known (e.g. a message
+  // published by a newer deploy).
+  if (!def) {
     console.log(
-      `✅ [ORG] n8n webhook call succeeded for job ${jobId}. Response: ${JSON.stringify(
-        resp.data
-      )}`
+      `ℹ️ Unknown stage "${stage}" for job ${jobId} - nothing to do.`
     );
-
-    // Seed an empty row in 7_organicSearch_Jobs as soon as the webhook is sent
-    const dateIso = bqTimestampToIso(job.createdAt);
-    const website = safeStr(job.website);
-    const businessName = safeStr(job.businessName);
-
-    console.log(
-      `ℹ️ [ORG] Seeding empty row in ${ORGANIC_JOBS_TABLE} for job ${jobId}`
-    );
-    await bigquery.query({
-      query: `
-        MERGE \`${ORGANIC_JOBS_TABLE}\` T
-        USING (
-          SELECT
-            @jobId AS jobId,
-            TIMESTAMP(@dateIso) AS date,
-            @businessName AS businessName,
-            @website AS website
-        ) S
-        ON T.jobId = S.jobId
-        WHEN MATCHED THEN
-          UPDATE SET
-            T.date = S.date,
-            T.businessName = S.businessName,
-            T.website = S.website
-        WHEN NOT MATCHED THEN
-          INSERT (jobId, date, businessName, website)
-          VALUES (S.jobId, S.date, S.businessName, S.website)
-      `,
-      params: { jobId, dateIso, businessName, website },
-    });
-  } catch (err) {
-    console.error(
-      `❌ [ORG] n8n webhook call FAILED for job ${jobId}:`,
-      err.message || err
-    );
-    await markSegmentStatus(jobId, '7_organicSearch_Status', 'failed');
-    await maybeMarkJobCompleted(jobId);
+    return 204;
   }
-}
-
-/**
- * ORGANIC SEARCH CALLBACK - receives results from N8N and writes to BigQuery
- */
-app.post('/organic-result', async (req, res) => {
-  try {
-    const items = Array.isArray(req.body) ? req.body : [req.body];
-    console.log(
-      `📥 [/organic-result] Received ${items.length} organic result item(s)`
-    );
-
-    for (const item of items) {
-      const {
-        jobId,
-        rank1Name,
-        rank1Url,
-        rank2Name,
-        rank2Url,
-        rank3Name,
-        rank3Url,
-        rank4Name,
-        rank4Url,
-        rank5Name,
-        rank5Url,
-        rank6Name,
-        rank6Url,
-        rank7Name,
-        rank7Url,
-        rank8Name,
-        rank8Url,
-        rank9Name,
-        rank9Url,
-        rank10Name,
-        rank10Url,
-      } = item;
-
-      if (!jobId) {
-        console.warn(
-          '[ORG-CB] Missing jobId in organic result payload, skipping item'
-        );
-        continue;
-      }
-
-      // Load job for date & businessName & website
-      const job = await loadJob(jobId);
-      if (!job) {
-        console.warn(
-          `[ORG-CB] No job row found for jobId ${jobId}, marking segment failed`
-        );
-        await markSegmentStatus(jobId, '7_organicSearch_Status', 'failed');
-        await maybeMarkJobCompleted(jobId);
-        continue;
-      }
 
-      const dateIso = bqTimestampToIso(job.createdAt);
-      const website = safeStr(job.website);
-      const businessName = safeStr(job.businessName);
+  // Stages with dependencies only run once those completed; an early or
+  // duplicate event is acked and the orchestrator publishes it again later.
+  if (def.dependsOn.length) {
+    const job = await getJobStore().loadJob(jobId);
+    const { state, waitingFor, blockedBy } = job
+      ? dependencyState(def, job)
+      : { state: 'ready' };
 
+    if (state === 'waiting') {
+      console.log(
+        `⏸️ Stage ${stage} for job ${jobId} is waiting for ${waitingFor.join(', ')} – not running yet.`
+      );
+      return 204;
+    }
+    if (state === 'blocked') {
       console.log(
-        `▶️ [ORG-CB] Processing organic callback for job ${jobId} (location=${job.location}, services=${job.services})`
+        `⏭️ Stage ${stage} for job ${jobId} is blocked by ${blockedBy.join(', ')} – skipping.`
       );
+      await advanceJob(jobId);
+      return 204;
+    }
+  }
 
-      try {
-        await bigquery.query({
-          query: MERGE_ORGANIC_SQL,
-          params: {
-            jobId,
-            dateIso,
-            businessName,
-            website,
-            rank1Name: safeStr(rank1Name),
-            rank1Url: safeStr(rank1Url),
-            rank2Name: safeStr(rank2Name),
-            rank2Url: safeStr(rank2Url),
-            rank3Name: safeStr(rank3Name),
-            rank3Url: safeStr(rank3Url),
-            rank4Name: safeStr(rank4Name),
-            rank4Url: safeStr(rank4Url),
-            rank5Name: safeStr(rank5Name),
-            rank5Url: safeStr(rank5Url),
-            rank6Name: safeStr(rank6Name),
-            rank6Url: safeStr(rank6Url),
-            rank7Name: safeStr(rank7Name),
-            rank7Url: safeStr(rank7Url),
-            rank8Name: safeStr(rank8Name),
-            rank8Url: safeStr(rank8Url),
-            rank9Name: safeStr(rank9Name),
-            rank9Url: safeStr(rank9Url),
-            rank10Name: safeStr(rank10Name),
-            rank10Url: safeStr(rank10Url),
-          },
-        });
-        console.log(
-          `✅ [ORG-CB] MERGE completed for job ${jobId} into ${ORGANIC_JOBS_TABLE}`
-        );
+  await def.handler(jobId, payload);
 
-        await markSegmentStatus(jobId, '7_organicSearch_Status', 'completed');
-        await maybeMarkJobCompleted(jobId);
-      } catch (err) {
-        console.error(
-          `❌ [ORG-CB] MERGE FAILED for job ${jobId}:`,
-          err && err.errors ? err.errors : err
-        );
-        await markSegmentStatus(jobId, '7_organicSearch_Status', 'failed');
-        await maybeMarkJobCompleted(jobId);
-      }
-    }
+  return 204;
+}
 
-    res.status(200).json({ ok: true });
-  } catch (err) {
-    console.error('❌ Error in /organic-result handler:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Local mode: POST /jobs in this process delivers straight to us
+eventBus.subscribe(handlePushEnvelope);
 
 /**
- * PUB/SUB PUSH ENDPOINT
+ * PUB/SUB PUSH ENDPOINT - authenticated when configured (see pushAuth.js)
  */
 app.post('/', async (req, res) => {
   try {
-    const message = req.body && req.body.message;
-    if (!message || !message.data) {
-      console.error('❌ Invalid Pub/Sub message format', req.body);
-      res.status(400).send('Bad Request: no message.data');
+    const refused = authenticatePush(req);
+    if (refused) {
+      console.warn(`🚫 Rejected Pub/Sub push from ${req.ip}: ${refused}`);
+      res.status(401).send('Unauthorized');
       return;
     }
 
-    const dataBuffer = Buffer.from(message.data, 'base64');
-    const payload = JSON.parse(dataBuffer.toString('utf8'));
-
-    const { jobId, location, createdAt, stage } = payload;
-
-    console.log('📩 Received job message:', payload);
-
-    if (!jobId || !stage) {
-      console.error('❌ Missing jobId or stage in Pub/Sub payload');
+    const status = await handlePushEnvelope(req.body);
+    if (status === 400) {
       res.status(400).send('Bad Request');
       return;
     }
+    res.status(status).send();
+  } catch (err) {
+    console.error('❌ Error handling Pub/Sub message:', err);
+    res.status(500).send();
+  }
+});
 
-    console.log(
-      `✅ Worker received job ${jobId} (stage=${stage}, location=${location})`
-    );
-
-    if (stage === 'demographics') {
-      await handleDemographicsStage(jobId);
-    } else if (stage === '7_organicSearch') {
-      await handleOrganicStage(jobId);
-    } else {
-      console.log(`ℹ️ Unknown stage "${stage}" - nothing to do yet.`);
+/**
+ * WATCHDOG SWEEP - called by Cloud Scheduler (see watchdog.js), with an
+ * OIDC token for the same service account as the push subscription
+ */
+app.post('/watchdog/sweep', async (req, res) => {
+  try {
+    const refused = authenticatePush(req);
+    if (refused) {
+      console.warn(`🚫 Rejected watchdog sweep from ${req.ip}: ${refused}`);
+      res.status(401).send('Unauthorized');
+      return;
     }
 
-    res.status(204).send();
+    res.status(200).json(await sweepStuckSegments());
   } catch (err) {
-    console.error('❌ Error handling Pub/Sub message:', err);
-    res.status(500).send();
+    console.error('❌ Error sweeping stuck segments:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -660,7 +180,28 @@ app.get('/', (req, res) => {
   res.status(200).send('OK');
 });
 
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
-  console.log(`🚀 client-audits-worker listening on port ${PORT}`);
-});
+function start(port = process.env.PORT || 8080) {
+  if (!isPushAuthEnabled()) {
+    console.warn(
+      '⚠️ Pub/Sub push authentication is off (set PUBSUB_PUSH_KEYS_FILE or PUBSUB_PUSH_TOKEN)'
+    );
+  }
+  if (WATCHDOG_INTERVAL_SECONDS > 0) {
+    console.log(`⏰ Watchdog sweeping every ${WATCHDOG_INTERVAL_SECONDS}s`);
+    setInterval(() => {
+      sweepStuckSegments().catch((err) =>
+        console.error('❌ Error sweeping stuck segments:', err)
+      );
+    }, WATCHDOG_INTERVAL_SECONDS * 1000).unref();
+  }
+
+  return app.listen(port, () => {
+    console.log(`🚀 client-audits-worker listening on port ${port}`);
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, handlePushEnvelope };